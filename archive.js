@@ -0,0 +1,139 @@
+// Filtering, sorting and paging for the !pastreads archive. A query is the words typed after the command:
+//   author:le guin   title:dune   rating>=4   rating<3   rating=5   unrated   sort:rating   reverse
+// Any other words search titles and authors. Filter values run until the next filter word, so
+// "author:ursula le guin rating>=4" works. Matching ignores case and accents.
+
+const PAGE_SIZE = 8;
+
+function compareText(a, b) {
+  return String(a || '').localeCompare(String(b || ''), 'en', { sensitivity: 'base' });
+}
+
+// Books are listed in the sheet in the order they were read, so "date" is the row order
+const SORTS = {
+  date: { label: 'newest first', compare: (a, b) => b.row - a.row },
+  rating: { label: 'highest rated', compare: (a, b) => (b.rating ?? -1) - (a.rating ?? -1) || b.row - a.row },
+  title: { label: 'title A-Z', compare: (a, b) => compareText(a.title, b.title) },
+  author: { label: 'author A-Z', compare: (a, b) => compareText(a.author, b.author) || compareText(a.title, b.title) }
+};
+
+const RATING_OPERATORS = {
+  '>=': (rating, value) => rating >= value,
+  '<=': (rating, value) => rating <= value,
+  '>': (rating, value) => rating > value,
+  '<': (rating, value) => rating < value,
+  '=': (rating, value) => rating === value
+};
+
+const OPERATOR_SYMBOLS = { '>=': '≥', '<=': '≤', '>': '>', '<': '<', '=': '=' };
+
+// Lower case with accents stripped, so "Garcia Marquez" finds "García Márquez"
+function normaliseText(text) {
+  return String(text || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase().trim();
+}
+
+function isFilterWord(word) {
+  return /^(author|title|sort):/i.test(word) || /^rating(>=|<=|>|<|=)/i.test(word) || /^(unrated|reverse|rating:none)$/i.test(word);
+}
+
+// Returns { author, title, ratings: [{ operator, value }], unrated, sort, reverse, text, errors }
+function parseArchiveQuery(input) {
+  const query = { author: null, title: null, ratings: [], unrated: false, sort: 'date', reverse: false, text: '', errors: [] };
+  // Allow spaces around the operator ("rating >= 4")
+  const words = String(input || '')
+    .replace(/rating\s*(>=|<=|>|<|=)\s*/gi, 'rating$1')
+    .split(/\s+/)
+    .filter(Boolean);
+  const freeText = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const field = word.match(/^(author|title):(.*)$/i);
+    const rating = word.match(/^rating(>=|<=|>|<|=)(.+)$/i);
+    const sort = word.match(/^sort:(.*)$/i);
+
+    if (field) {
+      const parts = field[2] ? [field[2]] : [];
+      while (i + 1 < words.length && !isFilterWord(words[i + 1])) parts.push(words[++i]);
+      if (parts.length === 0) {
+        query.errors.push(`\`${field[1]}:\` needs a name after it`);
+      } else {
+        query[field[1].toLowerCase()] = parts.join(' ');
+      }
+    } else if (rating) {
+      const value = Number(rating[2].replace(',', '.'));
+      if (!Number.isFinite(value) || value < 0 || value > 5) {
+        query.errors.push(`\`${word}\` needs a rating from 0 to 5`);
+      } else {
+        query.ratings.push({ operator: rating[1], value });
+      }
+    } else if (sort) {
+      const key = sort[1].toLowerCase();
+      if (SORTS[key]) {
+        query.sort = key;
+      } else {
+        query.errors.push(`\`${word}\` isn't a sort - use ${Object.keys(SORTS).map(name => `\`sort:${name}\``).join(', ')}`);
+      }
+    } else if (/^(unrated|rating:none)$/i.test(word)) {
+      query.unrated = true;
+    } else if (/^reverse$/i.test(word)) {
+      query.reverse = true;
+    } else {
+      freeText.push(word);
+    }
+  }
+
+  query.text = freeText.join(' ');
+  return query;
+}
+
+// The books matching a query, in the query's order
+function applyArchiveQuery(books, query) {
+  const author = normaliseText(query.author);
+  const title = normaliseText(query.title);
+  const text = normaliseText(query.text);
+
+  const matches = books.filter(book => {
+    if (author && !normaliseText(book.author).includes(author)) return false;
+    if (title && !normaliseText(book.title).includes(title)) return false;
+    if (text && !normaliseText(`${book.title} ${book.author}`).includes(text)) return false;
+    if (query.unrated && book.rating !== null) return false;
+    if (query.ratings.length > 0) {
+      if (book.rating === null) return false;
+      if (!query.ratings.every(({ operator, value }) => RATING_OPERATORS[operator](book.rating, value))) return false;
+    }
+    return true;
+  });
+
+  matches.sort(SORTS[query.sort].compare);
+  return query.reverse ? matches.reverse() : matches;
+}
+
+// "author: le guin • rating ≥ 4 • highest rated"
+function describeArchiveQuery(query) {
+  const parts = [];
+  if (query.text) parts.push(`"${query.text}"`);
+  if (query.author) parts.push(`author: ${query.author}`);
+  if (query.title) parts.push(`title: ${query.title}`);
+  for (const { operator, value } of query.ratings) parts.push(`rating ${OPERATOR_SYMBOLS[operator]} ${value}`);
+  if (query.unrated) parts.push('unrated');
+  parts.push(`${SORTS[query.sort].label}${query.reverse ? ' (reversed)' : ''}`);
+  return parts.join(' • ');
+}
+
+// Clamp `page` (0-based) into range and return that page's items
+function paginate(items, page, pageSize = PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  return { items: items.slice(current * pageSize, (current + 1) * pageSize), page: current, pageCount, offset: current * pageSize };
+}
+
+module.exports = {
+  PAGE_SIZE,
+  SORTS,
+  normaliseText,
+  parseArchiveQuery,
+  applyArchiveQuery,
+  describeArchiveQuery,
+  paginate
+};
@@ -0,0 +1,111 @@
+// Reading schedules for !schedule. A book's chapters (or pages) are spread evenly over the time from the
+// start date to the last meeting, with a checkpoint at every meeting - and with `weekly`, one a week in
+// between. Each checkpoint is the club's reading point from the previous checkpoint (or the start) until
+// its own date, e.g. "Through Chapter 8" due at the first meeting, then "Through Chapter 16" at the next.
+//
+// The spec is typed after `!schedule set`:
+//   24 chapters                            - from now until the next meeting
+//   320 pages from next monday meetings 3  - over the next 3 meetings (the stored one plus the recurring series)
+//   18 chapters to dec 15 and jan 12 weekly
+// `pages` without a number uses the book's page count from the metadata provider.
+
+const UNITS = { chapter: 'chapter', chapters: 'chapter', ch: 'chapter', page: 'page', pages: 'page', pp: 'page' };
+
+const UNIT_LABELS = { chapter: 'Chapter', page: 'Page' };
+
+// Weekly checkpoints closer than this to a meeting are dropped - the meeting's own checkpoint covers them
+const MIN_GAP_MS = 24 * 60 * 60 * 1000;
+
+// Returns { count, unit, from, to: [date text], meetings, weekly, errors }. Dates are left as text for the caller
+// to read in the member's timezone.
+function parseScheduleSpec(input) {
+  const spec = { count: null, unit: null, from: null, to: [], meetings: null, weekly: false, errors: [] };
+  let text = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+  text = text.replace(/\bweekly\b/, () => {
+    spec.weekly = true;
+    return '';
+  });
+  text = text.replace(/\b(?:meetings? (\d+)|(\d+) meetings?)\b/, (_, first, second) => {
+    spec.meetings = Number(first || second);
+    return '';
+  }).trim();
+
+  const amount = text.match(/^(\d+)?\s*(chapters?|ch|pages?|pp)\b/);
+  if (amount) {
+    spec.count = amount[1] ? Number(amount[1]) : null;
+    spec.unit = UNITS[amount[2]];
+    text = text.slice(amount[0].length);
+  } else {
+    spec.errors.push('Start with the length of the book, e.g. `24 chapters` or `320 pages`');
+  }
+
+  // "from <date>" and "to/until <date> and <date>", in either order
+  const parts = text.split(/\b(from|to|until)\b/).map(part => part.trim());
+  for (let i = 1; i < parts.length; i += 2) {
+    const value = parts[i + 1];
+    if (!value) {
+      spec.errors.push(`\`${parts[i]}\` needs a date after it`);
+    } else if (parts[i] === 'from') {
+      spec.from = value;
+    } else {
+      spec.to.push(...value.split(/\s*(?:,|;|\band\b)\s*/).filter(Boolean));
+    }
+  }
+  if (parts[0]) spec.errors.push(`I don't understand \`${parts[0]}\``);
+
+  if (spec.unit === 'chapter' && !spec.count) spec.errors.push('How many chapters? e.g. `24 chapters`');
+  if (spec.count !== null && spec.count < 1) spec.errors.push('The book needs at least 1 chapter or page');
+  if (spec.meetings !== null && spec.to.length > 0) spec.errors.push('Use either `meetings <n>` or `to <dates>`, not both');
+  if (spec.meetings !== null && (spec.meetings < 1 || spec.meetings > 12)) spec.errors.push('`meetings` must be between 1 and 12');
+  return spec;
+}
+
+// "Through Chapter 8" / "Through Page 150" - the same style organisers use with !setpoint
+function formatCheckpoint(unit, value) {
+  return `Through ${UNIT_LABELS[unit]} ${value}`;
+}
+
+// `start` and `meetings` are luxon DateTimes (meetings after start). Returns
+//   [{ point, value, startsAt, dueAt, meeting }] with ISO dates, in order.
+function buildCheckpoints({ count, unit, start, meetings, weekly = false }) {
+  const sortedMeetings = [...meetings].sort((a, b) => a - b);
+  const end = sortedMeetings[sortedMeetings.length - 1];
+  const dates = sortedMeetings.map(date => ({ date, meeting: true }));
+
+  if (weekly) {
+    for (let date = start.plus({ weeks: 1 }); date < end; date = date.plus({ weeks: 1 })) {
+      if (sortedMeetings.some(meeting => Math.abs(meeting - date) < MIN_GAP_MS)) continue;
+      dates.push({ date, meeting: false });
+    }
+    dates.sort((a, b) => a.date - b.date);
+  }
+
+  const span = end - start;
+  const checkpoints = [];
+  let previous = { value: 0, dueAt: start };
+
+  dates.forEach(({ date, meeting }, i) => {
+    const isLast = i === dates.length - 1;
+    // Only the last checkpoint finishes the book
+    const value = isLast ? count : Math.min(count - 1, Math.round(count * (date - start) / span));
+    if (value <= previous.value) return;
+
+    checkpoints.push({
+      point: formatCheckpoint(unit, value),
+      value,
+      startsAt: previous.dueAt.toISO(),
+      dueAt: date.toISO(),
+      meeting,
+    });
+    previous = { value, dueAt: date };
+  });
+
+  return checkpoints;
+}
+
+module.exports = {
+  parseScheduleSpec,
+  buildCheckpoints,
+  formatCheckpoint
+};
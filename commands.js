@@ -0,0 +1,236 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+// Every bot command, shared by the `!` prefix handler and the slash command handler.
+// Options are listed in the order they are turned back into `!` style args.
+// `permission` is the default Discord permission needed to run a command that changes club state;
+// organisers can swap it for a role (or open it to everyone) per guild with `!permissions`.
+const commandList = [
+  { name: 'commands', description: 'Show the list of available commands' },
+  { name: 'status', description: 'Show bot health, uptime, and system status' },
+  { name: 'sheetcheck', description: 'Check the book spreadsheet for missing columns, unknown statuses and malformed rows' },
+  { name: 'refreshsheet', description: 'Re-fetch the book spreadsheet now and show how old the cached copy was', guildOnly: true, permission: 'ManageMessages' },
+  { name: 'reading', description: 'Show the book currently being read', guildOnly: true },
+  { name: 'random', description: 'Pick a random "top choice" book from the list', guildOnly: true },
+  {
+    name: 'search',
+    description: 'Find a book on the spreadsheet by title or author (typos are fine)',
+    options: [
+      { name: 'query', type: 'string', description: 'Title or author, e.g. murakami', required: true }
+    ]
+  },
+  {
+    name: 'pastreads',
+    description: 'Browse every finished book, with filters and sorting',
+    guildOnly: true,
+    options: [
+      { name: 'filters', type: 'string', description: 'e.g. author:le guin rating>=4 sort:rating (also title:, unrated, reverse)' }
+    ]
+  },
+  {
+    name: 'nominate',
+    description: 'Nominate a book for the current election, or list the nominations',
+    guildOnly: true,
+    options: [
+      { name: 'title', type: 'string', description: 'A future option or top choice book from the spreadsheet', autocomplete: 'books' }
+    ]
+  },
+  {
+    name: 'election',
+    description: 'Run a ranked-choice election for the next book',
+    guildOnly: true,
+    permission: 'ManageMessages',
+    options: [
+      { name: 'action', type: 'string', description: 'What to do', choices: ['status', 'start', 'open', 'close', 'cancel'] },
+      { name: 'days', type: 'integer', description: 'How many days voting stays open (with "open", default 3)' }
+    ]
+  },
+  { name: 'nextmeeting', description: 'Show the date and time of the next meeting', guildOnly: true },
+  { name: 'meetings', description: 'List upcoming and past meetings with their IDs', guildOnly: true },
+  { name: 'attendance', description: 'Show who attended recent meetings in the voice channel, and all-time stats', guildOnly: true },
+  {
+    name: 'setmeeting',
+    description: 'Schedule a new meeting (read in your timezone)',
+    guildOnly: true,
+    permission: 'ManageEvents',
+    options: [
+      { name: 'date', type: 'string', description: 'Meeting date, e.g. December 15 or 2024-12-15', required: true },
+      { name: 'time', type: 'string', description: 'Meeting time in your timezone, e.g. 7pm or 19:00 (defaults to 7pm)' }
+    ]
+  },
+  {
+    name: 'recurring',
+    description: 'View or change the recurring meeting series',
+    guildOnly: true,
+    permission: 'ManageEvents',
+    options: [
+      { name: 'action', type: 'string', description: 'What to do', choices: ['view', 'set', 'skip', 'move', 'stop'] },
+      { name: 'details', type: 'string', description: 'Rule (e.g. first sunday of every month 4pm), date to skip, or "<date> to <new date>"' }
+    ]
+  },
+  {
+    name: 'reminders',
+    description: 'View or change the reminders sent before each meeting',
+    guildOnly: true,
+    permission: 'ManageEvents',
+    options: [
+      { name: 'action', type: 'string', description: 'What to do', choices: ['view', 'add', 'remove', 'reset'] },
+      { name: 'offset', type: 'string', description: 'How long before the meeting, e.g. 1w, 2d, 1h, 1d12h' },
+      { name: 'mention', type: 'string', description: '@everyone, @here, a role mention, rsvp (members going or maybe), or none' },
+      { name: 'message', type: 'string', description: 'Message template - {date}, {timeUntil}, {readingPoint}' }
+    ]
+  },
+  {
+    name: 'clearevent',
+    description: 'Cancel a booked meeting and delete its Discord event',
+    guildOnly: true,
+    permission: 'ManageEvents',
+    options: [
+      { name: 'id', type: 'integer', description: 'Meeting ID from /meetings (needed when more than one is booked)' }
+    ]
+  },
+  { name: 'currentpoint', description: 'Show the current reading goal/stopping point', guildOnly: true },
+  {
+    name: 'setpoint',
+    description: 'Set the reading goal',
+    guildOnly: true,
+    permission: 'ManageMessages',
+    options: [
+      { name: 'description', type: 'string', description: 'Reading goal, e.g. Chapter 5', required: true }
+    ]
+  },
+  { name: 'clearpoint', description: 'Clear the current reading goal', guildOnly: true, permission: 'ManageMessages' },
+  { name: 'pointhistory', description: 'Show recent reading goal changes and what past meetings covered', guildOnly: true },
+  { name: 'undopoint', description: 'Go back to the previous reading goal', guildOnly: true, permission: 'ManageMessages' },
+  {
+    name: 'spoilers',
+    description: 'Find the discussion thread for a chapter of the current book',
+    guildOnly: true,
+    options: [
+      { name: 'chapter', type: 'string', description: 'e.g. 7, page 120 or 40% - leave empty to list every thread' }
+    ]
+  },
+  {
+    name: 'progress',
+    description: 'Record how far you are in the current book, or show the club progress board',
+    guildOnly: true,
+    options: [
+      { name: 'progress', type: 'string', description: 'e.g. 45%, page 120 or chapter 7 - or "clear", "nudge on", "nudge off"' }
+    ]
+  },
+  {
+    name: 'schedule',
+    description: 'View or set the reading schedule that moves the reading point on at each checkpoint',
+    guildOnly: true,
+    permission: 'ManageMessages',
+    options: [
+      { name: 'action', type: 'string', description: 'What to do', choices: ['view', 'set', 'cancel'] },
+      { name: 'details', type: 'string', description: 'e.g. 24 chapters from next monday meetings 2 weekly (with "set")' }
+    ]
+  },
+  { name: 'link', description: 'Get the link to the Book Club Google Spreadsheet' },
+  {
+    name: 'poll',
+    description: 'Create a rating poll',
+    guildOnly: true,
+    permission: 'ManageMessages',
+    options: [
+      { name: 'title', type: 'string', description: 'What members are rating, e.g. a book title', required: true, autocomplete: 'books' }
+    ]
+  },
+  { name: 'endpoll', description: 'Manually end the active poll in the current channel', guildOnly: true, permission: 'ManageMessages' },
+  {
+    name: 'linkpoll',
+    description: 'Write the latest poll\'s average rating into a book\'s row in the spreadsheet',
+    guildOnly: true,
+    permission: 'ManageMessages',
+    options: [
+      { name: 'book', type: 'string', description: 'Book title from the spreadsheet', required: true, autocomplete: 'books' },
+      { name: 'mode', type: 'string', description: 'rating only, also mark the book finished, or preview without writing', choices: ['rating', 'finish', 'preview'] }
+    ]
+  },
+  {
+    name: 'timezone',
+    description: 'View or set the timezone your meeting dates are read in',
+    options: [
+      { name: 'zone', type: 'string', description: 'IANA timezone, e.g. America/New_York, or "reset"' }
+    ]
+  },
+  { name: 'timehelp', description: 'Show help for date and time formats used in commands' },
+  {
+    name: 'permissions',
+    description: 'View or change who can run club commands',
+    guildOnly: true,
+    permission: 'ManageGuild',
+    options: [
+      { name: 'action', type: 'string', description: 'What to do', choices: ['view', 'set', 'reset'] },
+      { name: 'command', type: 'string', description: 'Command to change, e.g. setmeeting (or "all" to reset)' },
+      { name: 'rule', type: 'string', description: 'A role mention, a permission like ManageEvents, or "everyone"' }
+    ]
+  },
+  {
+    name: 'config',
+    description: 'View or change this server\'s spreadsheet, notes folder and channel settings',
+    guildOnly: true,
+    permission: 'ManageGuild',
+    options: [
+      { name: 'action', type: 'string', description: 'What to do', choices: ['view', 'set', 'reset'] },
+      { name: 'key', type: 'string', description: 'Which setting', choices: ['sheet', 'tab', 'notes', 'voice', 'reminders', 'category', 'discussion', 'all'] },
+      { name: 'value', type: 'string', description: 'The new value (a link, name, channel mention or ID)' }
+    ]
+  },
+  { name: 'testpoll', description: 'Start a one-minute test poll', guildOnly: true, hidden: true, permission: 'ManageMessages' }
+];
+
+function findCommand(name) {
+  return commandList.find(command => command.name === name);
+}
+
+// Build the application command payloads registered with Discord (hidden commands stay `!` only)
+function buildSlashCommands() {
+  return commandList
+    .filter(command => !command.hidden)
+    .map(command => {
+      const builder = new SlashCommandBuilder()
+        .setName(command.name)
+        .setDescription(command.description)
+        .setDMPermission(!command.guildOnly);
+
+      for (const option of command.options || []) {
+        const configure = opt => opt
+          .setName(option.name)
+          .setDescription(option.description)
+          .setRequired(Boolean(option.required));
+
+        if (option.type === 'integer') {
+          builder.addIntegerOption(opt => configure(opt));
+        } else {
+          builder.addStringOption(opt => {
+            configure(opt).setAutocomplete(Boolean(option.autocomplete));
+            if (option.choices) opt.addChoices(...option.choices.map(choice => ({ name: choice, value: choice })));
+            return opt;
+          });
+        }
+      }
+
+      return builder.toJSON();
+    });
+}
+
+// Turn slash command options back into the whitespace-split args the `!` handler uses
+function interactionToArgs(interaction) {
+  const command = findCommand(interaction.commandName);
+  const args = [];
+  for (const option of command?.options || []) {
+    const value = interaction.options.get(option.name)?.value;
+    if (value === undefined || value === null || value === '') continue;
+    args.push(...String(value).trim().split(/ +/));
+  }
+  return args;
+}
+
+module.exports = {
+  commandList,
+  findCommand,
+  buildSlashCommands,
+  interactionToArgs
+};
@@ -0,0 +1,130 @@
+const { DateTime } = require('luxon');
+const { parseTimeOfDay } = require('./recurrence');
+
+// Relative and natural-language meeting dates, e.g. "next friday", "tomorrow 8pm", "in 2 weeks",
+// "this saturday 15:30", "first sunday of march" and "tonight". Everything is resolved in the given zone.
+// Anything without a time defaults to 7:00 PM, the same as the fixed formats in parseMeetingDateTime.
+
+const DEFAULT_HOUR = 19;
+
+const WEEKDAYS = {
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+  sunday: 7, sun: 7
+};
+
+const MONTHS = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5,
+  june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8, september: 9, sep: 9, sept: 9,
+  october: 10, oct: 10, november: 11, nov: 11, december: 12, dec: 12
+};
+
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const ORDINAL_PATTERN = Object.keys(ORDINALS).join('|');
+
+// Split a trailing time ("8pm", "at 15:30", "noon") off the input
+function extractTime(input) {
+  const named = input.match(/^(.*?)\s*(?:at )?(noon|midday|midnight)$/);
+  if (named) {
+    return { rest: named[1], time: named[2] === 'midnight' ? { hour: 0, minute: 0 } : { hour: 12, minute: 0 } };
+  }
+
+  const match = input.match(/^(.*?)\s*(?:at )?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)$/);
+  if (match && match[1]) {
+    const time = parseTimeOfDay(match[2]);
+    if (time) return { rest: match[1], time };
+  }
+  return { rest: input, time: null };
+}
+
+function atTime(date, time) {
+  return date.set({ hour: time ? time.hour : DEFAULT_HOUR, minute: time ? time.minute : 0, second: 0, millisecond: 0 });
+}
+
+// The nth (or last) weekday of the month containing `monthStart`
+function nthWeekdayOfMonth(monthStart, nth, weekday) {
+  if (nth === -1) {
+    const lastDay = monthStart.endOf('month').startOf('day');
+    return lastDay.minus({ days: (lastDay.weekday - weekday + 7) % 7 });
+  }
+  const firstMatch = monthStart.plus({ days: (weekday - monthStart.weekday + 7) % 7 });
+  const date = firstMatch.plus({ weeks: nth - 1 });
+  return date.month === monthStart.month ? date : null;
+}
+
+// Returns a DateTime, or null if the text isn't a relative date this parser understands
+function parseRelativeDate(text, zone, now = DateTime.now()) {
+  const input = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.,!?]+$/, '');
+  if (!input) return null;
+
+  const current = now.setZone(zone);
+  const today = current.startOf('day');
+  const { rest, time } = extractTime(input);
+
+  // "tonight", "today", "tomorrow"
+  if (rest === 'tonight' || rest === 'today') return atTime(today, time);
+  if (rest === 'tomorrow' || rest === 'tmrw') return atTime(today.plus({ days: 1 }), time);
+
+  // "friday", "this saturday", "next friday", "on sunday"
+  const weekday = rest.match(new RegExp(`^(?:on )?(this |next |coming |this coming )?(${WEEKDAY_PATTERN})$`));
+  if (weekday) {
+    const target = WEEKDAYS[weekday[2]];
+    let days = (target - today.weekday + 7) % 7;
+    const candidate = atTime(today.plus({ days }), time);
+    // Today only counts when the time hasn't passed yet, and "next friday" never means today
+    if ((days === 0 && candidate <= current) || (days === 0 && weekday[1] === 'next ')) days = 7;
+    return atTime(today.plus({ days }), time);
+  }
+
+  // "in 2 weeks", "in a month", "in 3 days", "in 2 hours"
+  const offset = rest.match(/^in (\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten) (minute|hour|day|week|month)s?$/);
+  if (offset) {
+    const amount = NUMBER_WORDS[offset[1]] || parseInt(offset[1], 10);
+    const unit = `${offset[2]}s`;
+    if (unit === 'minutes' || unit === 'hours') return current.plus({ [unit]: amount }).set({ second: 0, millisecond: 0 });
+    return atTime(today.plus({ [unit]: amount }), time);
+  }
+
+  // "next week", "next month" (same weekday / day, at the given or default time)
+  if (rest === 'next week') return atTime(today.plus({ weeks: 1 }), time);
+  if (rest === 'next month') return atTime(today.plus({ months: 1 }), time);
+
+  // "first sunday of march", "last friday of next month", "second tuesday in april 2026"
+  const nth = rest.match(new RegExp(`^(?:the )?(${ORDINAL_PATTERN}) (${WEEKDAY_PATTERN}) (?:of|in) (?:(this month|next month)|(${MONTH_PATTERN})(?: (\\d{4}))?)$`));
+  if (nth) {
+    const ordinal = ORDINALS[nth[1]];
+    const target = WEEKDAYS[nth[2]];
+
+    if (nth[3]) {
+      const month = nth[3] === 'next month' ? today.plus({ months: 1 }).startOf('month') : today.startOf('month');
+      const date = nthWeekdayOfMonth(month, ordinal, target);
+      return date ? atTime(date, time) : null;
+    }
+
+    const month = MONTHS[nth[4]];
+    const explicitYear = nth[5] ? parseInt(nth[5], 10) : null;
+    let monthStart = DateTime.fromObject({ year: explicitYear || today.year, month, day: 1 }, { zone });
+    let date = nthWeekdayOfMonth(monthStart, ordinal, target);
+    // Without a year, a date that has already passed means next year's
+    if (date && !explicitYear && atTime(date, time) <= current) {
+      monthStart = monthStart.plus({ years: 1 });
+      date = nthWeekdayOfMonth(monthStart, ordinal, target);
+    }
+    return date ? atTime(date, time) : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseRelativeDate
+};
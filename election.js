@@ -0,0 +1,73 @@
+// Instant-runoff (ranked-choice) counting for book elections.
+//
+// `candidates` is the list of nominated titles, `ballots` a list of rankings (most preferred first).
+// Each round counts every ballot for its highest-ranked candidate still in the race. A candidate with
+// more than half of those votes wins; otherwise the candidate with the fewest votes is eliminated.
+// Ties for last place are broken by the earlier rounds, and if candidates are still tied they are all
+// eliminated together - unless that would eliminate everyone left, in which case the result is a tie.
+
+function countRound(continuing, ballots) {
+  const counts = new Map(continuing.map(candidate => [candidate, 0]));
+  let exhausted = 0;
+  for (const ballot of ballots) {
+    const choice = ballot.find(candidate => counts.has(candidate));
+    if (choice) {
+      counts.set(choice, counts.get(choice) + 1);
+    } else {
+      exhausted++;
+    }
+  }
+  return { counts, exhausted };
+}
+
+// Of the candidates tied for last place, keep only those that also did worst in earlier rounds
+function breakTie(tied, rounds) {
+  let remaining = tied;
+  for (let i = rounds.length - 2; i >= 0 && remaining.length > 1; i--) {
+    const earlier = rounds[i].counts;
+    const fewest = Math.min(...remaining.map(candidate => earlier[candidate] ?? 0));
+    remaining = remaining.filter(candidate => (earlier[candidate] ?? 0) === fewest);
+  }
+  return remaining;
+}
+
+function tallyInstantRunoff(candidates, ballots) {
+  // Drop unknown candidates and repeats so every ballot is a clean ranking
+  const cleanBallots = ballots
+    .map(ballot => [...new Set(ballot)].filter(candidate => candidates.includes(candidate)))
+    .filter(ballot => ballot.length > 0);
+
+  let continuing = [...candidates];
+  const rounds = [];
+
+  while (continuing.length > 0) {
+    const { counts, exhausted } = countRound(continuing, cleanBallots);
+    const round = { counts: Object.fromEntries(counts), exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const activeVotes = cleanBallots.length - exhausted;
+    if (activeVotes === 0) {
+      return { winner: null, tied: continuing, rounds, totalBallots: cleanBallots.length };
+    }
+
+    const [leader, leaderVotes] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (leaderVotes * 2 > activeVotes || continuing.length === 1) {
+      return { winner: leader, tied: [], rounds, totalBallots: cleanBallots.length };
+    }
+
+    const fewest = Math.min(...counts.values());
+    const eliminated = breakTie(continuing.filter(candidate => counts.get(candidate) === fewest), rounds);
+    if (eliminated.length === continuing.length) {
+      return { winner: null, tied: continuing, rounds, totalBallots: cleanBallots.length };
+    }
+
+    round.eliminated = eliminated;
+    continuing = continuing.filter(candidate => !eliminated.includes(candidate));
+  }
+
+  return { winner: null, tied: [], rounds, totalBallots: cleanBallots.length };
+}
+
+module.exports = {
+  tallyInstantRunoff
+};
@@ -1,10 +1,21 @@
 require('dotenv').config();
 const dns = require("node:dns");
 dns.setDefaultResultOrder("ipv4first"); // Fixes Node.js 18+ DNS IPv6 resolution hangs
-const { Client, ActivityType, EmbedBuilder, GatewayIntentBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+const { Client, ActivityType, EmbedBuilder, GatewayIntentBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, StringSelectMenuBuilder, ChannelType, ThreadAutoArchiveDuration, Partials, GuildScheduledEventStatus, RESTJSONErrorCodes } = require("discord.js");
 const express = require("express"); //
-const { getSheetData } = require("./sheets");
-const { DateTime } = require("luxon");
+const { BOOK_STATUS, getBooks, getBookData, checkSheet, refreshSheetData, loadSheetCache, getSheetCacheStatus, writeBookRating, isWriteDryRun, columnLetter, getSpreadsheetUrl, SPREADSHEET_ID, DEFAULT_TAB } = require("./sheets");
+const { commandList, findCommand, buildSlashCommands, interactionToArgs } = require("./commands");
+const { DateTime, IANAZone } = require("luxon");
+const { DEFAULT_TEMPLATE, DEFAULT_REMINDERS, parseOffset, formatOffset, parseMention, describeMention, buildMentionContent, renderTemplate } = require("./reminders");
+const { registerJobHandler, scheduleJob, cancelJob, cancelJobsByPrefix, startScheduler, stopScheduler } = require("./scheduler");
+const { parseRelativeDate } = require("./dates");
+const { tallyInstantRunoff } = require("./election");
+const { parseArchiveQuery, applyArchiveQuery, describeArchiveQuery, paginate } = require("./archive");
+const { GOOD_MATCH, SUGGESTION_MATCH, searchBooks } = require("./search");
+const { getBookMetadata } = require("./metadata");
+const { parseProgress, formatProgress, compareProgress, describeComparison } = require("./progress");
+const { parseScheduleSpec, buildCheckpoints } = require("./checkpoints");
+const { parseRecurrence, getUpcomingOccurrences, findOccurrenceDate, describeRecurrence } = require("./recurrence");
 const fetch = require("node-fetch");
 
 const token = process.env.DISCORD_BOT_TOKEN?.trim();
@@ -18,17 +29,74 @@ const mongoose = require("mongoose");
 // Generate a unique Session ID to identify this specific process
 const SESSION_ID = Math.floor(Math.random() * 100000).toString(16).toUpperCase();
 
+// Recurring meeting rule (see recurrence.js for how occurrences are worked out)
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: String, // "weekly" or "monthly"
+  interval: Number, // Weeks between meetings (weekly)
+  nth: Number, // 1-4, or -1 for the last weekday of the month (monthly)
+  weekday: Number, // 1 = Monday ... 7 = Sunday
+  hour: Number,
+  minute: Number,
+  anchorDate: String, // First occurrence (yyyy-MM-dd) that the weekly interval counts from
+  channelId: String, // Where new meetings in the series are announced
+  skips: [String], // Occurrence dates (yyyy-MM-dd) to leave out
+  overrides: [{ _id: false, date: String, isoDate: String }], // Occurrence date -> replacement start time
+}, { _id: false });
+
+// Reading schedule from !schedule (see checkpoints.js) - each checkpoint becomes the reading point at `startsAt`
+const ReadingScheduleSchema = new mongoose.Schema({
+  bookTitle: String,
+  unit: String, // "chapter" or "page"
+  count: Number, // Chapters or pages in the book
+  channelId: String, // Where checkpoints are announced (unless a reminder channel is configured)
+  createdBy: String, // User ID
+  createdAt: String, // ISO time - jobs carry it so a replaced schedule's jobs do nothing
+  checkpoints: [{
+    _id: false,
+    point: String, // e.g. "Through Chapter 8"
+    value: Number,
+    startsAt: String, // ISO time the checkpoint becomes the reading point
+    dueAt: String, // ISO time it should be read by
+    meeting: Boolean, // Due at a meeting rather than a weekly checkpoint
+    reachedAt: Date, // Set once it has been made the reading point
+  }],
+}, { _id: false });
+
 // Mongoose Schema for persistent storage
 const SettingsSchema = new mongoose.Schema({
-  _id: { type: String, default: "global_settings" }, // Single document for global settings
+  _id: { type: String, required: true }, // Guild ID - one settings document per server
   readingPoint: String,
-  meetingInfo: {
-    date: String,
-    time: String,
-    eventId: String,
-    isoDate: String,
-    channelId: String,
-    reminderSent: { type: Boolean, default: false },
+  meetingCount: { type: Number, default: 0 }, // Meetings booked so far - the last meeting number handed out
+  // Reminder stages - unset means the default 2-day reminder, an empty list means no reminders
+  reminders: {
+    type: [new mongoose.Schema({
+      offsetMinutes: Number,
+      mention: String, // "everyone", "here", "none", "role:<roleId>" or "rsvp"
+      template: String,
+    }, { _id: false })],
+    default: undefined,
+  },
+  recurrence: { type: RecurrenceSchema, default: null },
+  readingSchedule: { type: ReadingScheduleSchema, default: null },
+  // Set with !config - anything unset falls back to CONFIG_OPTIONS defaults
+  config: {
+    spreadsheetId: String,
+    sheetTab: String,
+    notesFolderUrl: String,
+    voiceChannelId: String,
+    reminderChannelId: String,
+    commandCategoryId: String,
+    discussionChannelId: String,
+  },
+  // Per-command overrides of the default permission declared in commands.js
+  commandPermissions: {
+    type: Map,
+    of: new mongoose.Schema({
+      roleId: String,
+      permission: String,
+      everyone: Boolean,
+    }, { _id: false }),
+    default: {},
   },
 });
 
@@ -60,18 +128,22 @@ async function endPoll(pollIdentifier) {
       return;
     }
 
-    console.log(`Ending poll: ${pollData.title} (Message ID: ${pollData.messageId})`);
-    
-    const channel = await client.channels.fetch(pollData.channelId);
-    if (!channel) {
-      console.error(`Channel ${pollData.channelId} not found for poll ${pollData.messageId}`);
-      await Poll.deleteOne({ messageId: pollData.messageId });
+    if (pollData.endedAt) {
+      console.log(`Poll ${pollData.messageId} has already ended`);
       return;
     }
 
-    const message = await channel.messages.fetch(pollData.messageId);
-    if (!message) {
-      console.error(`Message ${pollData.messageId} not found in channel ${pollData.channelId}`);
+    console.log(`Ending poll: ${pollData.title} (Message ID: ${pollData.messageId})`);
+    
+    // fetch() throws for a deleted channel or message - there's nothing to end then, so don't retry
+    let channel;
+    let message;
+    try {
+      channel = await client.channels.fetch(pollData.channelId);
+      message = await channel.messages.fetch(pollData.messageId);
+    } catch (error) {
+      if (error.code !== RESTJSONErrorCodes.UnknownChannel && error.code !== RESTJSONErrorCodes.UnknownMessage) throw error;
+      console.error(`Poll message ${pollData.messageId} or its channel ${pollData.channelId} no longer exists`);
       await Poll.deleteOne({ messageId: pollData.messageId });
       return;
     }
@@ -137,18 +209,72 @@ async function endPoll(pollIdentifier) {
       .setDescription(resultDescription)
       .setTimestamp();
 
-    await channel.send({ embeds: [resultEmbed] });
-    await message.unpin().catch(console.error); // Unpin the poll message
-    await Poll.deleteOne({ messageId: pollData.messageId }); // Remove from DB
-    console.log(`Poll results sent for ${pollData.title}`);
+    // Mark the poll ended before posting anything, and only if nothing else has - so a retry or `!endpoll`
+    // racing the job never posts the results twice. The finished poll is kept so its average can go to the sheet.
+    const endedPoll = await Poll.findOneAndUpdate(
+      { messageId: pollData.messageId, endedAt: null },
+      { endedAt: new Date(), averageRating: totalVotes > 0 ? totalScore / totalVotes : null },
+      { new: true }
+    );
+    if (!endedPoll) {
+      console.log(`Poll ${pollData.messageId} has already ended`);
+      return;
+    }
+
+    try {
+      await channel.send({ embeds: [resultEmbed] });
+      await message.unpin().catch(console.error); // Unpin the poll message
+      console.log(`Poll results sent for ${endedPoll.title}`);
+
+      if (endedPoll.bookTitle && endedPoll.averageRating !== null) {
+        const sheetEmbed = await writePollRatingToSheet(endedPoll);
+        await channel.send({ embeds: [sheetEmbed] }).catch(console.error);
+      }
+    } catch (error) {
+      // The poll has ended either way - retrying would only skip it
+      console.error(`Failed to post the results of poll ${endedPoll.messageId}:`, error);
+    }
   } catch (error) {
     console.error(`Error ending poll ${pollIdentifier}:`, error);
+    throw error; // Let the scheduler retry
+  }
+}
+
+// Write a finished poll's average into its linked book's row and describe the outcome as an embed.
+// Errors are reported in the embed rather than thrown, so a failed write never re-runs the poll ending.
+async function writePollRatingToSheet(poll, { dryRun = isWriteDryRun() } = {}) {
+  try {
+    const result = await writeBookRating(poll.bookTitle, poll.averageRating, { markFinished: poll.markFinished, dryRun, sheet: getSheetSource(poll.guildId) });
+    if (!result) {
+      return new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Spreadsheet Not Updated')
+        .setDescription(`Couldn't find a row titled **${poll.bookTitle}** in the spreadsheet.`);
+    }
+
+    const changes = result.changes
+      .map(change => `**${change.column}** (${change.cell}): ${change.from === '' ? '*empty*' : change.from} → **${change.to}**`)
+      .join('\n');
+    return new EmbedBuilder()
+      .setColor(result.dryRun ? 0xFFA500 : 0x00FF00)
+      .setTitle(result.dryRun ? '🧪 Spreadsheet Update (Dry Run)' : '✅ Spreadsheet Updated')
+      .setDescription(`**${result.title}** (row ${result.row})\n${changes}`)
+      .setFooter({ text: result.dryRun ? 'Nothing was written - dry run mode is on' : `From the poll "${poll.title}"` });
+  } catch (error) {
+    console.error(`❌ Error writing the rating for poll ${poll.messageId} to the sheet:`, error);
+    return new EmbedBuilder()
+      .setColor(0xFF0000)
+      .setTitle('❌ Spreadsheet Not Updated')
+      .setDescription(`The rating for **${poll.bookTitle}** couldn't be written: ${error.message}`);
   }
 }
 
-// Function to load active polls from DB and set timers
+// Job: end a rating poll and post the results
+registerJobHandler("endPoll", ({ messageId }) => endPoll(messageId));
+
+// Make sure every poll in the DB has an "endPoll" job (polls created before the job scheduler existed had timers)
 async function loadActivePolls() {
-  const activePolls = await Poll.find({});
+  const activePolls = await Poll.find({ endedAt: null });
   for (const poll of activePolls) {
     //check for corrupted poll data
     if (!poll.endTime || !(poll.endTime instanceof Date) || isNaN(poll.endTime.getTime())) {
@@ -157,267 +283,1533 @@ async function loadActivePolls() {
       continue;
     }
 
-    const now = DateTime.now().toJSDate();
-    if (poll.endTime <= now) {
-      await endPoll(poll.messageId);
-    } else {
-      const timeRemaining = poll.endTime.getTime() - now.getTime();
-      setTimeout(() => endPoll(poll.messageId), timeRemaining);
-      console.log(`Rescheduled poll "${poll.title}" to end in ${timeRemaining / (1000 * 60 * 60)} hours.`);
-    }
+    await scheduleJob("endPoll", { messageId: poll.messageId }, poll.endTime, { key: `poll:${poll.messageId}`, replace: false });
+  }
+}
+
+// Every meeting a guild has booked. Upcoming ones are also kept in memory (see guildMeetings); once a meeting
+// is over or cancelled it stays here as the club's meeting history.
+const MeetingSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  number: { type: Number, required: true }, // Per-guild meeting number - the ID shown by !meetings and used by !clearevent
+  isoDate: String, // Start time
+  eventId: String,
+  channelId: String, // Where the meeting was booked (reminders go here unless a reminder channel is configured)
+  voiceChannelId: String, // The Discord event's voice channel, where attendance is tracked
+  series: { type: Boolean, default: false }, // Booked by the recurring series
+  bookTitle: String, // The "currently reading" book - set when booked and again when the meeting is held
+  readingPoint: String, // The reading point the meeting covered, set when it's held
+  status: { type: String, enum: ["scheduled", "held", "cancelled"], default: "scheduled" },
+  remindersSent: [String], // Offsets (in minutes) of the reminder stages already sent, plus the progress nudge
+  // Messages carrying the meeting's RSVP buttons - their counts are kept up to date, and they're retired with the meeting
+  rsvpMessages: [{ _id: false, channelId: String, messageId: String, pinned: Boolean }],
+  createdBy: String, // User ID, or null for the recurring series
+  createdAt: { type: Date, default: Date.now },
+  cancelledAt: Date,
+});
+MeetingSchema.index({ guildId: 1, number: 1 }, { unique: true });
+MeetingSchema.index({ guildId: 1, status: 1, isoDate: -1 });
+const Meeting = mongoose.model("Meeting", MeetingSchema);
+
+// Upcoming (scheduled) meetings per guild, soonest first - filled from the DB on startup
+const guildMeetings = new Map();
+
+function getUpcomingMeetings(guildId) {
+  if (!guildId) return [];
+  if (!guildMeetings.has(guildId)) guildMeetings.set(guildId, []);
+  return guildMeetings.get(guildId);
+}
+
+// The meeting that's on now, or else the next one. Meetings leave the upcoming list once they're over.
+function getNextMeeting(guildId) {
+  return getUpcomingMeetings(guildId)[0] || null;
+}
+
+// The upcoming meeting starting at `startMillis` - RSVP buttons and !setmeeting confirmations carry the start time
+function findMeetingByStart(guildId, startMillis) {
+  return getUpcomingMeetings(guildId).find(meeting => DateTime.fromISO(meeting.isoDate).toMillis() === startMillis) || null;
+}
+
+// The upcoming meeting starting at `isoDate` - jobs carry the start time so a moved or cancelled meeting's jobs do nothing
+function findUpcomingMeeting(guildId, isoDate) {
+  return getUpcomingMeetings(guildId).find(meeting => meeting.isoDate === isoDate) || null;
+}
+
+function addUpcomingMeeting(meeting) {
+  const meetings = getUpcomingMeetings(meeting.guildId);
+  meetings.push(meeting);
+  meetings.sort((a, b) => DateTime.fromISO(a.isoDate) - DateTime.fromISO(b.isoDate));
+}
+
+function removeUpcomingMeeting(meeting) {
+  const meetings = getUpcomingMeetings(meeting.guildId);
+  const index = meetings.indexOf(meeting);
+  if (index >= 0) meetings.splice(index, 1);
+}
+
+async function saveMeeting(meeting) {
+  try {
+    await Meeting.findByIdAndUpdate(meeting._id, meeting, { upsert: true });
+  } catch (error) {
+    console.error(`❌ Error saving meeting #${meeting.number} (Guild: ${meeting.guildId}):`, error);
+  }
+}
+
+// "`#4` <date> • 🔁 • Discord event" for upcoming meetings, "`#3` <date> • **Book** • Through Chapter 8" for held ones
+function describeMeeting(meeting) {
+  const details = [];
+  if (meeting.series) details.push("🔁");
+  if (meeting.status === "scheduled" && meeting.eventId) {
+    details.push(`[Discord event](https://discord.com/events/${meeting.guildId}/${meeting.eventId})`);
+  } else if (meeting.status === "held") {
+    if (meeting.bookTitle) details.push(`**${meeting.bookTitle}**`);
+    details.push(meeting.readingPoint || "*no reading point*");
+  } else if (meeting.status === "cancelled") {
+    details.push("❌ cancelled");
   }
+  return [`\`#${meeting.number}\` ${formatMeetingDate(meeting.isoDate)}`, ...details].join(" • ");
+}
+
+// The reminder stages configured for a guild (the 2-day default until organisers set their own)
+function getReminderStages(guildId) {
+  const reminders = getGuildStorage(guildId).reminders;
+  return Array.isArray(reminders) ? reminders : DEFAULT_REMINDERS;
+}
+
+// Record a reminder stage as sent unless it already is. Returns false if another run got there first.
+async function claimReminderStage(meeting, stageKey) {
+  const { modifiedCount } = await Meeting.updateOne(
+    { _id: meeting._id, remindersSent: { $ne: stageKey } },
+    { $addToSet: { remindersSent: stageKey } }
+  );
+  if (modifiedCount === 0) return false;
+  meeting.remindersSent = [...new Set([...(meeting.remindersSent || []), stageKey])];
+  return true;
 }
 
-let meetingReminderTimeout = null;
+// Send one reminder stage for a meeting. The stage is recorded as sent first, so a restart or retry never sends it
+// twice; if sending fails the record is taken back and the error thrown, so the job is retried.
+async function sendMeetingReminder(meeting, stage) {
+  const { guildId } = meeting;
+  const storage = getGuildStorage(guildId);
+  const channelId = getConfigValue(guildId, 'reminders') || meeting.channelId;
+  if (!channelId) return;
 
-async function sendMeetingReminder() {
-  if (!meetingInfo || !meetingInfo.channelId) return;
+  const stageKey = String(stage.offsetMinutes);
+  if (!(await claimReminderStage(meeting, stageKey))) return;
 
   try {
-    const channel = await client.channels.fetch(meetingInfo.channelId);
+    const channel = await client.channels.fetch(channelId);
     if (channel) {
-      const formattedDate = formatMeetingDate(meetingInfo.isoDate);
+      const minutesUntilMeeting = DateTime.fromISO(meeting.isoDate).diffNow("minutes").minutes;
       const reminderEmbed = new EmbedBuilder()
         .setColor(0xF1C40F)
         .setTitle('⏰ Book Club Meeting Reminder!')
-        .setDescription(`Our next meeting is in **2 days** on **${formattedDate}**!\n\nRead now or else!`)
+        .setDescription(renderTemplate(stage.template || DEFAULT_TEMPLATE, {
+          date: formatMeetingDate(meeting.isoDate),
+          timeUntil: formatOffset(minutesUntilMeeting),
+          readingPoint: storage.readingPoint,
+        }))
         .setTimestamp();
-        
-      if (currentPoint) {
-        reminderEmbed.addFields({ name: '📖 Reading Point', value: currentPoint });
-      }
-      
-      await channel.send({ content: '@everyone', embeds: [reminderEmbed] });
-      console.log(`✅ Sent 2-day meeting reminder in channel ${channel.name}`);
       
-      meetingInfo.reminderSent = true;
-      storage.meetingInfo = meetingInfo;
-      await saveStorage(storage);
+      let rsvpUserIds = [];
+      if (stage.mention === 'rsvp') {
+        const guild = client.guilds.cache.get(guildId);
+        if (guild) await syncEventInterest(guild, meeting);
+        const rsvps = await getMeetingRsvps(guildId, meeting.isoDate);
+        rsvpUserIds = [...rsvps.going, ...rsvps.maybe];
+      }
+      await channel.send({ ...buildMentionContent(stage.mention, rsvpUserIds), embeds: [reminderEmbed] });
+      console.log(`✅ Sent ${formatOffset(stage.offsetMinutes)} meeting reminder in channel ${channel.name} (Guild: ${guildId})`);
     }
   } catch (error) {
     console.error('❌ Failed to send meeting reminder:', error);
+    meeting.remindersSent = (meeting.remindersSent || []).filter(sent => sent !== stageKey);
+    await Meeting.updateOne({ _id: meeting._id }, { $pull: { remindersSent: stageKey } })
+      .catch(pullError => console.error(`❌ Couldn't un-record reminder ${stageKey} for meeting #${meeting.number}:`, pullError));
+    throw error;
   }
 }
 
-function scheduleMeetingReminder() {
-  if (meetingReminderTimeout) {
-    clearTimeout(meetingReminderTimeout);
-    meetingReminderTimeout = null;
-  }
+// Job: send one reminder stage, unless the meeting changed or the stage was sent or removed since it was scheduled
+registerJobHandler("meetingReminder", async ({ guildId, isoDate, offsetMinutes }) => {
+  const meeting = findUpcomingMeeting(guildId, isoDate);
+  if (!meeting) return;
+  if ((meeting.remindersSent || []).includes(String(offsetMinutes))) return;
+  if (DateTime.fromISO(isoDate) <= DateTime.now()) return;
 
-  if (!meetingInfo || !meetingInfo.isoDate || meetingInfo.reminderSent) {
-    return;
-  }
+  const stage = getReminderStages(guildId).find(reminder => reminder.offsetMinutes === offsetMinutes);
+  if (stage) await sendMeetingReminder(meeting, stage);
+});
 
-  const meetingTime = DateTime.fromISO(meetingInfo.isoDate).toJSDate().getTime();
-  const reminderTime = meetingTime - (2 * 24 * 60 * 60 * 1000); // 2 days before
-  const now = Date.now();
+// Members who opt in with `!progress nudge on` get a DM this long before a meeting if they're behind.
+// The nudge is tracked in remindersSent like a reminder stage, under its own name.
+const PROGRESS_NUDGE_MINUTES = 24 * 60;
+const PROGRESS_NUDGE_STAGE = "nudge";
 
-  if (reminderTime > now) {
-    const timeUntilReminder = reminderTime - now;
-    // setTimeout has a maximum delay of 2147483647 ms (approx 24.8 days)
-    if (timeUntilReminder > 2147483647) {
-      meetingReminderTimeout = setTimeout(scheduleMeetingReminder, 2147483647);
-    } else {
-      meetingReminderTimeout = setTimeout(sendMeetingReminder, timeUntilReminder);
-      console.log(`⏰ Rescheduled meeting reminder to send in ${(timeUntilReminder / (1000 * 60 * 60)).toFixed(2)} hours.`);
+// The book's page count from the metadata provider, so pages and percentages can be compared
+async function getPageCount(book) {
+  try {
+    return (await getBookMetadata(book))?.pages || null;
+  } catch (error) {
+    console.warn(`⚠️ Couldn't load the page count for "${book.title}":`, error.message);
+    return null;
+  }
+}
+
+// DM every opted-in member who hasn't reached the reading point (or hasn't reported any progress) before a meeting
+async function sendProgressNudges(meeting) {
+  const { guildId } = meeting;
+  const storage = getGuildStorage(guildId);
+  const target = parseProgress(storage.readingPoint);
+  const sheet = await getBookData(getSheetSource(guildId));
+  const book = sheet.books.find(entry => entry.status === BOOK_STATUS.READING);
+  const guild = client.guilds.cache.get(guildId);
+
+  // Recorded before any DM goes out, so a retry never nudges anyone twice
+  if (!(await claimReminderStage(meeting, PROGRESS_NUDGE_STAGE))) return;
+
+  if (target && book && guild && sheet.source !== 'sample') {
+    const members = await UserSettings.find({ progressNudges: guildId }).lean();
+    const progressByUser = new Map(
+      (await ReadingProgress.find({ guildId, bookTitle: book.title, userId: { $in: members.map(member => member._id) } }).lean())
+        .map(progress => [progress.userId, progress])
+    );
+    const pageCount = target.kind === 'chapter' ? null : await getPageCount(book);
+
+    for (const { _id: userId } of members) {
+      const progress = progressByUser.get(userId);
+      const comparison = compareProgress(progress, target, pageCount);
+      // Caught up, or reported in a way we can't compare - either way, no nudge
+      if (progress && (!comparison || comparison.difference >= 0)) continue;
+
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (!member) continue;
+
+      const nudgeEmbed = new EmbedBuilder()
+        .setColor(0xF1C40F)
+        .setTitle(`📖 Reading check-in: ${guild.name}`.slice(0, 256))
+        .setDescription(`The next meeting is ${formatMeetingDate(meeting.isoDate)} and the reading point for **${book.title}** is **${storage.readingPoint}**.\n` +
+          (progress
+            ? `You're at **${formatProgress(progress)}** - ${describeComparison(comparison, target)}.`
+            : "You haven't recorded any progress yet."))
+        .setFooter({ text: 'Update it with !progress in the server • !progress nudge off to stop these' });
+      try {
+        await member.send({ embeds: [nudgeEmbed] });
+        console.log(`✅ Sent progress nudge to ${member.user.tag} (Guild: ${guildId})`);
+      } catch (error) {
+        console.warn(`⚠️ Couldn't DM progress nudge to ${member.user.tag}:`, error.message);
+      }
     }
-  } else if (meetingTime > now && !meetingInfo.reminderSent) {
-    // The reminder time has passed, but the meeting hasn't happened yet.
-    sendMeetingReminder();
   }
 }
 
-const PollSchema = new mongoose.Schema({
-  messageId: { type: String, required: true },
-  channelId: { type: String, required: true },
-  guildId: { type: String, required: true },
-  title: { type: String, required: true },
-  endTime: { type: Date, required: true },
-  votes: { type: Map, of: Number, default: {} }, // New: userId to rating value
-  optionsData: [{ // New: structured options for buttons
-    label: String,
-    value: Number,
-    customId: String
-  }]
+// Job: nudge members who are behind, unless the meeting changed or they were already nudged for it
+registerJobHandler("progressNudge", async ({ guildId, isoDate }) => {
+  const meeting = findUpcomingMeeting(guildId, isoDate);
+  if (!meeting) return;
+  if ((meeting.remindersSent || []).includes(PROGRESS_NUDGE_STAGE)) return;
+  if (DateTime.fromISO(isoDate) <= DateTime.now()) return;
+
+  await sendProgressNudges(meeting);
 });
-const Poll = mongoose.model("Poll", PollSchema);
 
-const Settings = mongoose.model("Settings", SettingsSchema);
+// (Re)create one meeting's jobs - a reminder per stage that hasn't been sent, the progress nudge, attendance
+// tracking and moving it into the history once it's over
+async function scheduleMeetingJobs(meeting) {
+  const { guildId, number, isoDate } = meeting;
+  try {
+    await cancelJobsByPrefix(`reminder:${guildId}:${number}:`);
 
-// Initialize default state (will be overwritten by DB load)
-let storage = {
-  readingPoint: null,
-  meetingInfo: {
-    date: null,
-    time: null,
-    eventId: null,
-    isoDate: null,
-    channelId: null,
-    reminderSent: false,
-  },
-  activePolls: [], // To store active poll data
-};
-let currentPoint = storage.readingPoint;
-let meetingInfo = storage.meetingInfo;
+    const { start, end } = getMeetingWindow(isoDate);
+    await scheduleJob("meetingEnd", { guildId, isoDate }, end.toJSDate(), { key: `meeting:${guildId}:${number}:end` });
+    if (end > DateTime.now()) {
+      await scheduleJob("attendanceStart", { guildId, isoDate }, start.toJSDate(), { key: `attendance:${guildId}:${number}:start` });
+    }
 
-async function saveStorage(newStorage) {
-  try {
-    // Save to MongoDB
-    await Settings.findByIdAndUpdate("global_settings", newStorage, {
-      upsert: true,
-      new: true,
-    });
-    console.log("💾 Data saved to MongoDB");
+    const meetingTime = start.toMillis();
+    if (meetingTime <= Date.now()) return;
+
+    // Each stage's sent-state is stored by offset, so a restart picks up exactly where it left off.
+    // Stages whose time has already passed (e.g. while the bot was offline) are due straight away, oldest first.
+    const sent = new Set(meeting.remindersSent || []);
+    for (const stage of getReminderStages(guildId)) {
+      if (sent.has(String(stage.offsetMinutes))) continue;
+      await scheduleJob(
+        "meetingReminder",
+        { guildId, isoDate, offsetMinutes: stage.offsetMinutes },
+        new Date(meetingTime - stage.offsetMinutes * 60 * 1000),
+        { key: `reminder:${guildId}:${number}:${stage.offsetMinutes}` }
+      );
+    }
+
+    if (!sent.has(PROGRESS_NUDGE_STAGE)) {
+      await scheduleJob(
+        "progressNudge",
+        { guildId, isoDate },
+        new Date(meetingTime - PROGRESS_NUDGE_MINUTES * 60 * 1000),
+        { key: `reminder:${guildId}:${number}:${PROGRESS_NUDGE_STAGE}` }
+      );
+    }
   } catch (error) {
-    console.error("❌ Error saving to MongoDB:", error);
+    console.error(`❌ Failed to schedule jobs for meeting #${number} (Guild: ${guildId}):`, error);
   }
 }
 
+// (Re)create the jobs for every upcoming meeting in a guild, e.g. after its reminder stages changed
+async function scheduleMeetingReminders(guildId) {
+  try {
+    await cancelJobsByPrefix(`reminder:${guildId}:`);
+  } catch (error) {
+    console.error(`❌ Failed to cancel meeting reminders for guild ${guildId}:`, error);
+  }
+  for (const meeting of getUpcomingMeetings(guildId)) {
+    await scheduleMeetingJobs(meeting);
+  }
+}
 
-// SIMPLE EXPRESS SERVER FOR INTERNAL USE
-const app = express();
-const port = 3000;
-
-app.get("/", (req, res) => {
-  const uptime = process.uptime();
-  const hours = Math.floor(uptime / 3600);
-  const minutes = Math.floor((uptime % 3600) / 60);
-  const seconds = Math.floor(uptime % 60);
+// Drop a cancelled meeting's pending jobs
+async function cancelMeetingJobs(meeting) {
+  const { guildId, number } = meeting;
+  try {
+    await cancelJobsByPrefix(`reminder:${guildId}:${number}:`);
+    await cancelJob(`attendance:${guildId}:${number}:start`);
+    await cancelJob(`meeting:${guildId}:${number}:end`);
+  } catch (error) {
+    console.error(`❌ Failed to cancel jobs for meeting #${number} (Guild: ${guildId}):`, error);
+  }
+}
 
-  res.json({
-    status: "Book Club Bot is running!",
-    uptime: `${hours}h ${minutes}m ${seconds}s`,
-    guilds: client?.guilds?.cache?.size || 0,
-    currentPoint: currentPoint,
-    nextMeeting: meetingInfo.date,
-    // Add a specific keyword for monitoring
-    monitor: "BOOK_CLUB_BOT_ACTIVE",
-  });
-});
+// Title of the book marked as currently reading on the sheet, or null (also when only the sample data could be loaded)
+async function getCurrentBookTitle(guildId) {
+  try {
+    const sheet = await getBookData(getSheetSource(guildId));
+    if (sheet.source === 'sample') return null;
+    return sheet.books.find(book => book.status === BOOK_STATUS.READING)?.title || null;
+  } catch (error) {
+    console.warn(`⚠️ Couldn't load the current book (Guild: ${guildId}):`, error.message);
+    return null;
+  }
+}
 
-// Add a dedicated health endpoint with simple text response
-app.get("/health", (req, res) => {
-  const botStatus = client?.isReady() ? "connected" : "disconnected";
+// Create the Discord event for a meeting and add it to the guild's upcoming meetings. Returns { meeting, event }.
+// Pass `event` to book the meeting for an event that already exists instead of creating one.
+async function scheduleMeeting(guild, dateTime, channelId, { createdBy = null, series = false, event: existingEvent = null } = {}) {
+  const storage = getGuildStorage(guild.id);
+  storage.meetingCount = (storage.meetingCount || 0) + 1;
+  const meeting = {
+    _id: new mongoose.Types.ObjectId(),
+    guildId: guild.id,
+    number: storage.meetingCount,
+    isoDate: dateTime.toISO(),
+    eventId: null,
+    channelId,
+    voiceChannelId: null,
+    series,
+    bookTitle: await getCurrentBookTitle(guild.id),
+    readingPoint: null,
+    status: "scheduled",
+    remindersSent: [],
+    rsvpMessages: [],
+    createdBy,
+    createdAt: new Date(),
+    cancelledAt: null,
+  };
+
+  let event = existingEvent;
+  if (!event) {
+    try {
+      event = await createBookClubEvent(
+        guild,
+        dateTime,
+        `Booq Club Discussion - ${dateTime.toLocaleString(DateTime.DATETIME_FULL)}`,
+        getConfigValue(guild.id, 'voice')
+      );
+    } catch (error) {
+      console.error(`⚠️ Failed to create event for guild ${guild.id}:`, error);
+    }
+  }
+  if (event) {
+    meeting.eventId = event.id;
+    meeting.voiceChannelId = event.channelId;
+  }
 
-  // Simple text response that's easy to monitor
-  res.send(`BOOK_CLUB_BOT_OK|${botStatus}|${Math.floor(process.uptime())}s`);
-});
+  addUpcomingMeeting(meeting);
+  await saveStorage(guild.id);
+  await saveMeeting(meeting);
+  await scheduleMeetingJobs(meeting);
+  await scheduleRecurrenceCheck(guild.id);
+  console.log(`📅 Booked meeting #${meeting.number} for ${meeting.isoDate} (Guild: ${guild.id})`);
+  return { meeting, event };
+}
 
-app.get("/monitor", (req, res) => {
-  // Ultra-simple endpoint just for monitoring
-  res.send("BOOK_CLUB_BOT_ACTIVE");
-});
+// Cancel an upcoming meeting: keep it in the history as cancelled, delete its Discord event and take the RSVP
+// buttons off its messages. Returns whether a Discord event was deleted. `deleteEvent: false` leaves the event
+// alone, for when it was deleted or cancelled in Discord.
+async function cancelMeeting(guild, meeting, { deleteEvent = true } = {}) {
+  meeting.status = "cancelled";
+  meeting.cancelledAt = new Date();
+  // Off the upcoming list before the event goes, so the event delete listener doesn't cancel it a second time
+  removeUpcomingMeeting(meeting);
+  await saveMeeting(meeting);
+  await cancelMeetingJobs(meeting);
+
+  const eventDeleted = deleteEvent ? await deleteMeetingEvent(guild, meeting.eventId) : false;
+  await retireRsvpMessages(meeting);
+  console.log(`🗑️ Cancelled meeting #${meeting.number} at ${meeting.isoDate} (Guild: ${meeting.guildId})`);
+  return eventDeleted;
+}
 
+// Delete a guild's Discord scheduled event, ignoring events that are already gone
+async function deleteMeetingEvent(guild, eventId) {
+  if (!eventId) return false;
+  try {
+    const event = await guild.scheduledEvents.fetch(eventId);
+    await event.delete();
+    return true;
+  } catch (error) {
+    console.log(`⚠️ Event ${eventId} not found:`, error.message);
+    return false;
+  }
+}
 
-// Start the server
-const server = app.listen(process.env.PORT || port, '0.0.0.0', () => {
-  console.log(`Server running on port ${process.env.PORT || port}`);
+// RSVPs for a meeting, from the Going / Maybe / Can't make it buttons or interest in the meeting's Discord event
+const MeetingRsvpSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  meetingIsoDate: { type: String, required: true }, // Start time of the meeting the RSVP is for
+  userId: { type: String, required: true },
+  status: String, // "going", "maybe" or "no"
+  source: String, // "button" or "event" - an answer given with the buttons is never overwritten by event interest
+  updatedAt: { type: Date, default: Date.now },
 });
+MeetingRsvpSchema.index({ guildId: 1, meetingIsoDate: 1, userId: 1 }, { unique: true });
+const MeetingRsvp = mongoose.model("MeetingRsvp", MeetingRsvpSchema);
 
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`❌ FATAL ERROR: Port ${process.env.PORT || port} is already in use.`);
-    console.error('   This usually means another instance of the bot is already running.');
-    console.error('   Please close the other instance before starting this one.');
-    process.exit(1);
-  }
-});
+const RSVP_STATUSES = {
+  going: { label: "Going", emoji: "✅", style: ButtonStyle.Success },
+  maybe: { label: "Maybe", emoji: "🤔", style: ButtonStyle.Primary },
+  no: { label: "Can't make it", emoji: "❌", style: ButtonStyle.Secondary },
+};
+const RSVP_FIELD_NAME = "🙋 RSVPs";
+
+// The meeting's start time is in the button ID, so a button for an old meeting can be recognised
+function buildRsvpRow(isoDate) {
+  const startMillis = DateTime.fromISO(isoDate).toMillis();
+  return new ActionRowBuilder().addComponents(
+    Object.entries(RSVP_STATUSES).map(([status, { label, emoji, style }]) =>
+      new ButtonBuilder().setCustomId(`rsvp_${status}_${startMillis}`).setLabel(label).setEmoji(emoji).setStyle(style))
+  );
+}
 
-// ROBUST BOT WITH SELF-KEEP-ALIVE
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-    GatewayIntentBits.GuildScheduledEvents,
-  ],
-});
+// { going: [userId], maybe: [...], no: [...] } for a meeting, in the order members answered
+async function getMeetingRsvps(guildId, isoDate) {
+  const rsvps = { going: [], maybe: [], no: [] };
+  if (!isoDate || mongoose.connection.readyState !== 1) return rsvps;
 
-// Add debug and warn listeners to track down the silent login hang
-client.on("debug", console.log);
-client.on("warn", console.warn);
-client.rest.on("restDebug", console.log);
-client.rest.on("rateLimited", console.warn);
+  const records = await MeetingRsvp.find({ guildId, meetingIsoDate: isoDate }).sort({ updatedAt: 1 }).lean();
+  for (const rsvp of records) rsvps[rsvp.status]?.push(rsvp.userId);
+  return rsvps;
+}
 
-const PREFIX = "!";
+// Add (or replace) the "✅ Going: 3 • 🤔 Maybe: 1 • ❌ Can't make it: 0" field on an embed
+function setRsvpField(embed, rsvps) {
+  const counts = Object.entries(RSVP_STATUSES)
+    .map(([status, { label, emoji }]) => `${emoji} ${label}: **${rsvps[status].length}**`)
+    .join(" • ");
+  const otherFields = (embed.data.fields || []).filter(field => field.name !== RSVP_FIELD_NAME);
+  return embed.setFields(...otherFields, { name: RSVP_FIELD_NAME, value: counts });
+}
 
-// Set timezone to UK
-const DEFAULT_TIMEZONE = "Europe/London";
+// Remember a message carrying the meeting's RSVP buttons so its counts stay up to date
+async function addRsvpMessage(meeting, rsvpMessage, pinned = false) {
+  meeting.rsvpMessages = [...(meeting.rsvpMessages || []), { channelId: rsvpMessage.channelId, messageId: rsvpMessage.id, pinned }];
+  await saveMeeting(meeting);
+}
 
-// Enhanced bot initialization with auto-restart
-async function initializeBot() {
-  // 1. Connect to MongoDB
-  if (process.env.MONGODB_URI) {
+// Update the counts on every message carrying the meeting's RSVP buttons
+async function refreshRsvpMessages(meeting) {
+  const rsvps = await getMeetingRsvps(meeting.guildId, meeting.isoDate);
+  for (const { channelId, messageId } of meeting.rsvpMessages || []) {
     try {
-      console.log(`🍃 Connecting to MongoDB using URI: ${process.env.MONGODB_URI.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@')}`); // Mask sensitive parts for logging
-      await mongoose.connect(process.env.MONGODB_URI);
-      console.log("✅ Connected to MongoDB");
-
-      // 2. Load saved data
-      const savedSettings = await Settings.findById("global_settings");
-      if (savedSettings) {
-        storage = savedSettings.toObject();
-        currentPoint = storage.readingPoint;
-        meetingInfo = storage.meetingInfo || meetingInfo;
-        console.log("📥 Loaded data from database");
-      }
+      const channel = await client.channels.fetch(channelId);
+      const rsvpMessage = await channel.messages.fetch(messageId);
+      await rsvpMessage.edit({ embeds: [setRsvpField(EmbedBuilder.from(rsvpMessage.embeds[0]), rsvps)] });
     } catch (error) {
-      console.error("❌ MongoDB Connection Error:", error);
+      console.warn(`⚠️ Couldn't update RSVP counts on message ${messageId}:`, error.message);
     }
-  } else {
-    console.warn("⚠️ MONGODB_URI not set! Data will not persist on restart.");
   }
+}
 
-  let retryCount = 0;
-  const maxLoginRetries = 10; // Maximum number of login attempts
-  const baseRetryDelayMs = 5000; // 5 seconds base delay
-
-  while (retryCount < maxLoginRetries) {
+// A meeting is over or was cancelled - take the buttons off its messages and unpin its announcement
+async function retireRsvpMessages(meeting) {
+  for (const { channelId, messageId, pinned } of meeting.rsvpMessages || []) {
     try {
-      let loginTimeoutId; // Declare a variable to hold the timeout ID
-      console.log(`   DEBUG environment variable: ${process.env.DEBUG}`); // Added to check if DEBUG is set
-      console.log(`   Discord Bot Token status: ${token ? 'present' : 'missing'}`); // Log if token is present, not the token itself
-      console.log("🤖 Attempting to login to Discord...");
-      console.log("⏳ Initializing Discord.js login promise...");
-      const loginPromise = client.login(token);
-      console.log("⏱️ Setting up 60-second login timeout...");
-      const timeoutPromise = new Promise((resolve, reject) => {
-        loginTimeoutId = setTimeout(() => { // Assign the timeout ID
-          console.error("⏰ Discord login timeout of 60 seconds reached. Exiting process.");
-          // Attempt a synchronous write to stderr to ensure it's logged immediately
-          process.stderr.write("⏰ [FATAL] Discord login timed out. Forcing exit.\n");
-          reject(new Error("Discord login timed out after 60 seconds"));
-          process.exit(1); // Force exit to ensure log is flushed and process doesn't hang
-        }, 60000); // Correctly close setTimeout
-      }); // Correctly close new Promise
-      console.log("🏁 Waiting for Discord login or timeout...");
-      await Promise.race([loginPromise, timeoutPromise]);
-      clearTimeout(loginTimeoutId); // Clear the timeout if login is successful
-      console.log("✅ Bot logged in successfully");
-      break; // Exit loop on success
+      const channel = await client.channels.fetch(channelId);
+      const rsvpMessage = await channel.messages.fetch(messageId);
+      if (pinned) await rsvpMessage.unpin();
+      await rsvpMessage.edit({ components: [] });
     } catch (error) {
-      clearTimeout(loginTimeoutId); // Also clear timeout if login fails for other reasons
-      retryCount++;
+      console.warn(`⚠️ Couldn't retire RSVP message ${messageId}:`, error.message);
+    }
+  }
+}
 
-      //check for rate limit error
-      if (error.status === 429 || error.message.includes("429")) {
-        //check for retry time in error
-        const retryAfter = (error.retryAfter || 300) * 1000;
-        console.error(`🛑 Rate Limited! Discord says wait ${retryAfter / 1000} seconds.`);
+// Post a meeting announcement with RSVP buttons and pin it
+async function postMeetingAnnouncement(meeting, channel, embed) {
+  setRsvpField(embed, await getMeetingRsvps(meeting.guildId, meeting.isoDate));
+  const announcement = await channel.send({ embeds: [embed], components: [buildRsvpRow(meeting.isoDate)] });
 
-        //wait until time Discord says
-        await new Promise((resolve) => setTimeout(resolve, retryAfter));
-        continue;
-      }
+  let pinned = false;
+  try {
+    await announcement.pin();
+    pinned = true;
+  } catch (error) {
+    console.warn(`⚠️ Couldn't pin the meeting announcement in ${channel.name}:`, error.message);
+  }
+  await addRsvpMessage(meeting, announcement, pinned);
+  return announcement;
+}
 
-      let errorMessage = `❌ Discord login failed (Attempt ${retryCount}/${maxLoginRetries}): ${error.message}`;
-      if (error.code) {
-        errorMessage += ` (Discord.js Error Code: ${error.code})`;
-      }
-      console.error(errorMessage, error); // Log the full error object for more details
+// Mirror interest in the meeting's Discord event as "going" RSVPs. Answers given with the buttons win.
+async function recordEventInterest(meeting, userId, interested) {
+  const { guildId, isoDate: meetingIsoDate } = meeting;
+  const existing = await MeetingRsvp.findOne({ guildId, meetingIsoDate, userId });
+  if (existing?.source === "button") return false;
+
+  if (interested) {
+    await MeetingRsvp.updateOne(
+      { guildId, meetingIsoDate, userId },
+      { status: "going", source: "event", updatedAt: existing?.updatedAt || new Date() },
+      { upsert: true }
+    );
+  } else if (existing) {
+    await existing.deleteOne();
+  }
+  return true;
+}
 
-      if (retryCount < maxLoginRetries) {
+// Bring the RSVPs in line with everyone currently interested in the Discord event (catches changes missed while offline)
+async function syncEventInterest(guild, meeting) {
+  if (!meeting?.eventId || mongoose.connection.readyState !== 1) return;
+
+  try {
+    const event = await guild.scheduledEvents.fetch(meeting.eventId);
+    const subscribers = await event.fetchSubscribers();
+    const interestedIds = [...subscribers.values()].map(subscriber => subscriber.user.id);
+
+    for (const userId of interestedIds) await recordEventInterest(meeting, userId, true);
+    await MeetingRsvp.deleteMany({ guildId: guild.id, meetingIsoDate: meeting.isoDate, source: "event", userId: { $nin: interestedIds } });
+  } catch (error) {
+    console.warn(`⚠️ Couldn't sync event interest for guild ${guild.id}:`, error.message);
+  }
+}
+
+// Time spent in the meeting's voice channel during the meeting window, one document per member per meeting
+const MeetingAttendanceSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  meetingIsoDate: { type: String, required: true },
+  userId: { type: String, required: true },
+  sessions: [{ _id: false, joinedAt: Date, leftAt: Date }], // leftAt is null while the member is still in the channel
+  totalMinutes: { type: Number, default: 0 }, // Within the meeting window, updated whenever a session closes
+});
+MeetingAttendanceSchema.index({ guildId: 1, meetingIsoDate: 1, userId: 1 }, { unique: true });
+const MeetingAttendance = mongoose.model("MeetingAttendance", MeetingAttendanceSchema);
+
+// Members who only popped in for less than this don't count as having attended
+const ATTENDANCE_MIN_MINUTES = 5;
+
+// The voice channel the meeting's Discord event is in, else the configured one
+function getMeetingVoiceChannelId(guildId, meeting) {
+  return meeting?.voiceChannelId || getConfigValue(guildId, 'voice');
+}
+
+// Start and end of a meeting's attendance window
+function getMeetingWindow(isoDate) {
+  const start = DateTime.fromISO(isoDate);
+  return { start, end: start.plus({ hours: MEETING_DURATION_HOURS }) };
+}
+
+// The upcoming meeting whose window we're in right now, if any
+function findMeetingInProgress(guildId, now = DateTime.now()) {
+  return getUpcomingMeetings(guildId).find(meeting => {
+    const { start, end } = getMeetingWindow(meeting.isoDate);
+    return start <= now && now <= end;
+  }) || null;
+}
+
+// Minutes of a member's sessions that fall inside the meeting window (open sessions count up to `now`)
+function countAttendanceMinutes(sessions, isoDate, now = new Date()) {
+  const { start, end } = getMeetingWindow(isoDate);
+  const total = sessions.reduce((sum, { joinedAt, leftAt }) => {
+    const from = Math.max(joinedAt.getTime(), start.toMillis());
+    const to = Math.min((leftAt || now).getTime(), end.toMillis());
+    return sum + Math.max(0, to - from);
+  }, 0);
+  return Math.round(total / 60000);
+}
+
+async function recordVoiceJoin(guildId, isoDate, userId, joinedAt = new Date()) {
+  const attendance = await MeetingAttendance.findOne({ guildId, meetingIsoDate: isoDate, userId })
+    || new MeetingAttendance({ guildId, meetingIsoDate: isoDate, userId, sessions: [] });
+  if (attendance.sessions.some(session => !session.leftAt)) return; // Already counted as in the channel
+
+  attendance.sessions.push({ joinedAt, leftAt: null });
+  await attendance.save();
+}
+
+async function recordVoiceLeave(guildId, isoDate, userId, leftAt = new Date()) {
+  const attendance = await MeetingAttendance.findOne({ guildId, meetingIsoDate: isoDate, userId });
+  const openSession = attendance?.sessions.find(session => !session.leftAt);
+  if (!openSession) return;
+
+  openSession.leftAt = leftAt;
+  attendance.totalMinutes = countAttendanceMinutes(attendance.sessions, isoDate);
+  await attendance.save();
+}
+
+// Job: the meeting is starting (or the bot restarted during it) - count everyone already in the voice channel
+registerJobHandler("attendanceStart", async ({ guildId, isoDate }) => {
+  const meeting = findUpcomingMeeting(guildId, isoDate);
+  if (!meeting) return;
+  const { end } = getMeetingWindow(isoDate);
+  if (DateTime.now() > end) return;
+
+  const voiceChannelId = getMeetingVoiceChannelId(guildId, meeting);
+  const channel = voiceChannelId ? await client.channels.fetch(voiceChannelId).catch(() => null) : null;
+  if (!channel?.members) return;
+
+  const joinedAt = DateTime.max(DateTime.now(), DateTime.fromISO(isoDate)).toJSDate();
+  for (const member of channel.members.values()) {
+    if (!member.user.bot) await recordVoiceJoin(guildId, isoDate, member.id, joinedAt);
+  }
+  console.log(`🎧 Meeting started with ${channel.members.size} member(s) in ${channel.name} (Guild: ${guildId})`);
+});
+
+// The meeting window is over - close the attendance sessions of anyone still in the channel, and move the
+// meeting into the history as held, with the book and the reading point it covered
+async function markMeetingHeld(meeting) {
+  const { guildId, isoDate } = meeting;
+  const { start, end } = getMeetingWindow(isoDate);
+
+  const stillPresent = await MeetingAttendance.find({ guildId, meetingIsoDate: isoDate, "sessions.leftAt": null });
+  for (const attendance of stillPresent) {
+    await recordVoiceLeave(guildId, isoDate, attendance.userId, end.toJSDate());
+  }
+
+  // The point in force when the meeting started - the schedule may already have moved on to the next checkpoint
+  const pointAtStart = await getReadingPointAt(guildId, start.toJSDate());
+  meeting.readingPoint = pointAtStart === undefined ? getGuildStorage(guildId).readingPoint || null : pointAtStart;
+  meeting.bookTitle = (await getCurrentBookTitle(guildId)) || meeting.bookTitle;
+  meeting.status = "held";
+  removeUpcomingMeeting(meeting);
+  await saveMeeting(meeting);
+  await retireRsvpMessages(meeting);
+  console.log(`📚 Meeting #${meeting.number} at ${isoDate} is over - ${stillPresent.length} attendance session(s) closed (Guild: ${guildId})`);
+}
+
+// Job: the meeting is over, unless it was cancelled or moved since the job was scheduled
+registerJobHandler("meetingEnd", async ({ guildId, isoDate }) => {
+  const meeting = findUpcomingMeeting(guildId, isoDate);
+  if (meeting) await markMeetingHeld(meeting);
+});
+// Jobs queued before meetings had their own end job only closed attendance - they do the same now
+registerJobHandler("attendanceEnd", async ({ guildId, isoDate }) => {
+  const meeting = findUpcomingMeeting(guildId, isoDate);
+  if (meeting) await markMeetingHeld(meeting);
+});
+
+// Book the next occurrence of the guild's recurring series (after any series meeting already booked) and announce it
+async function scheduleNextRecurringMeeting(guildId) {
+  const storage = getGuildStorage(guildId);
+  if (!storage.recurrence) return null;
+
+  const lastBooked = getUpcomingMeetings(guildId).filter(meeting => meeting.series).pop();
+  const after = lastBooked ? DateTime.fromISO(lastBooked.isoDate) : DateTime.now();
+  const [next] = getUpcomingOccurrences(storage.recurrence, after, DEFAULT_TIMEZONE);
+  if (!next) {
+    console.warn(`⚠️ Recurring series for guild ${guildId} has no upcoming occurrences`);
+    return null;
+  }
+
+  const guild = await client.guilds.fetch(guildId);
+  const { meeting, event } = await scheduleMeeting(guild, next.start, storage.recurrence.channelId, { series: true });
+  console.log(`🔁 Booked next recurring meeting for guild ${guildId}: ${next.start.toISO()}`);
+
+  try {
+    const channel = await client.channels.fetch(storage.recurrence.channelId);
+    const nextEmbed = new EmbedBuilder()
+      .setColor(0xF1C40F)
+      .setTitle('🔁 Next Meeting Scheduled')
+      .setDescription(`**${formatMeetingDate(meeting.isoDate)}**`)
+      .setFooter({ text: `Meeting #${meeting.number} • ${describeRecurrence(storage.recurrence)}` });
+    if (event) nextEmbed.addFields({ name: '📅 Discord Event', value: event.url });
+    await postMeetingAnnouncement(meeting, channel, nextEmbed);
+  } catch (error) {
+    // The meeting is booked either way - don't let the job retry and book it twice
+    console.error(`⚠️ Failed to announce next recurring meeting for guild ${guildId}:`, error);
+  }
+  return next.start;
+}
+
+// A meeting from the recurring series was cancelled - skip its occurrence, and book the next one if the series has
+// none left. Returns the next meeting's start, or null.
+async function skipSeriesMeeting(meeting) {
+  const { guildId } = meeting;
+  const storage = getGuildStorage(guildId);
+  if (!storage.recurrence || !meeting.series) return null;
+
+  const occurrenceDate = findOccurrenceDate(storage.recurrence, DateTime.fromISO(meeting.isoDate), DEFAULT_TIMEZONE);
+  if (occurrenceDate && !storage.recurrence.skips.includes(occurrenceDate)) {
+    storage.recurrence.skips.push(occurrenceDate);
+    await saveStorage(guildId);
+  }
+  if (getUpcomingMeetings(guildId).some(upcoming => upcoming.series)) return null;
+  return scheduleNextRecurringMeeting(guildId);
+}
+
+// Job: the series' last booked meeting is over, book the next one
+registerJobHandler("recurringMeeting", async ({ guildId }) => {
+  await scheduleNextRecurringMeeting(guildId);
+});
+
+// Once the series' last booked meeting has ended, book the next one. Meetings booked with !setmeeting don't count.
+async function scheduleRecurrenceCheck(guildId) {
+  try {
+    const storage = getGuildStorage(guildId);
+    if (!storage.recurrence) {
+      await cancelJob(`recurrence:${guildId}`);
+      return;
+    }
+
+    // No series meeting booked - book the next one now
+    const lastBooked = getUpcomingMeetings(guildId).filter(meeting => meeting.series).pop();
+    const meetingEnd = lastBooked ? getMeetingWindow(lastBooked.isoDate).end.toJSDate() : new Date();
+    await scheduleJob("recurringMeeting", { guildId }, meetingEnd, { key: `recurrence:${guildId}` });
+  } catch (error) {
+    console.error(`❌ Failed to schedule the next recurring meeting for guild ${guildId}:`, error);
+  }
+}
+
+// Change the reading point, record it in the history and open its discussion thread. Every change goes
+// through here - !setpoint, !clearpoint, !undopoint and the reading schedule. `channelId` is where the
+// change was made, used for the thread unless a discussion channel is configured.
+async function setReadingPoint(guildId, point, { changedBy = null, source, channelId = null }) {
+  const storage = getGuildStorage(guildId);
+  const previousPoint = storage.readingPoint || null;
+  storage.readingPoint = point;
+  await saveStorage(guildId);
+
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    const sheet = await getBookData(getSheetSource(guildId));
+    const currentBook = sheet.source === 'sample' ? null : sheet.books.find(book => book.status === BOOK_STATUS.READING);
+    await ReadingPointChange.create({
+      guildId,
+      point,
+      previousPoint,
+      bookTitle: currentBook?.title || null,
+      meetingIsoDate: getNextMeeting(guildId)?.isoDate || null,
+      changedBy,
+      source,
+    });
+    if (point && currentBook) await openCheckpointThread(guildId, point, previousPoint, currentBook.title, channelId);
+  } catch (error) {
+    console.error(`❌ Error recording reading point change (Guild: ${guildId}):`, error);
+  }
+}
+
+// Archive the threads of earlier books - once the book changes, their checkpoints are done with
+async function archiveOldCheckpointThreads(guildId, bookTitle) {
+  const oldThreads = await CheckpointThread.find({ guildId, archivedAt: null, bookTitle: { $ne: bookTitle } });
+  for (const record of oldThreads) {
+    try {
+      const thread = await client.channels.fetch(record.threadId);
+      if (thread && !thread.archived) await thread.setArchived(true, `New book: ${bookTitle}`);
+      console.log(`🗄️ Archived checkpoint thread "${record.point}" for ${record.bookTitle} (Guild: ${guildId})`);
+    } catch (error) {
+      // A deleted thread can't be archived - just stop tracking it
+      console.warn(`⚠️ Couldn't archive checkpoint thread ${record.threadId}:`, error.message);
+    }
+    record.archivedAt = new Date();
+    await record.save();
+  }
+}
+
+// Open (or reuse) the discussion thread for a reading point and post a spoiler-boundary notice in the main channel.
+// Failures are only logged - the reading point has changed either way.
+async function openCheckpointThread(guildId, point, previousPoint, bookTitle, fallbackChannelId) {
+  try {
+    await archiveOldCheckpointThreads(guildId, bookTitle);
+
+    const channelId = getConfigValue(guildId, 'discussion') || fallbackChannelId;
+    const fetchedChannel = channelId ? await client.channels.fetch(channelId) : null;
+    // Set from inside a thread - use the channel it belongs to
+    const channel = fetchedChannel?.isThread() ? fetchedChannel.parent : fetchedChannel;
+    if (!channel?.threads) {
+      console.warn(`⚠️ No channel to open a checkpoint thread in (Guild: ${guildId})`);
+      return;
+    }
+
+    let record = await CheckpointThread.findOne({ guildId, bookTitle, point, archivedAt: null });
+    let thread = record ? await client.channels.fetch(record.threadId).catch(() => null) : null;
+    if (thread) {
+      if (thread.archived) await thread.setArchived(false, "Reading point set again");
+    } else {
+      thread = await channel.threads.create({
+        name: `📖 ${point} - ${bookTitle}`.slice(0, 100),
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+        reason: `Discussion thread for reading point "${point}"`,
+      });
+      const progress = parseProgress(point);
+      if (!record) record = new CheckpointThread({ guildId, bookTitle, point });
+      Object.assign(record, { kind: progress?.kind || null, value: progress?.value ?? null, threadId: thread.id, channelId: channel.id });
+      await record.save();
+      await thread.send(`Spoilers for **${bookTitle}** up to **${point}** are welcome here. 📖`);
+      console.log(`🧵 Opened checkpoint thread "${thread.name}" (Guild: ${guildId})`);
+    }
+
+    const boundaryEmbed = new EmbedBuilder()
+      .setColor(0xE67E22)
+      .setTitle('🚧 Spoiler Boundary')
+      .setDescription(`The reading point for **${bookTitle}** is now **${point}** - discuss it in ${thread}.\n` +
+        `Please keep this channel free of spoilers past ${previousPoint ? `**${previousPoint}**` : "the previous reading point"}.`)
+      .setFooter({ text: 'Use !spoilers <chapter> to find the thread for any chapter' });
+    await channel.send({ embeds: [boundaryEmbed] });
+  } catch (error) {
+    console.error(`❌ Failed to open checkpoint thread (Guild: ${guildId}):`, error);
+  }
+}
+
+// The reading point in force at `date` according to the history, or undefined if the history doesn't go back that far
+async function getReadingPointAt(guildId, date) {
+  const change = await ReadingPointChange.findOne({ guildId, createdAt: { $lte: date } }).sort({ createdAt: -1 }).lean();
+  return change ? change.point : undefined;
+}
+
+// Past meetings (newest first) with the reading point each one covered
+async function getMeetingsCovered(guildId, limit = 5) {
+  const meetings = await Meeting.find({ guildId, status: "held" }).sort({ isoDate: -1 }).limit(limit).lean();
+  return meetings.map(meeting => ({ isoDate: meeting.isoDate, point: meeting.readingPoint }));
+}
+
+// Make a checkpoint the reading point (the same storage as !setpoint) and announce it
+async function applyReadingCheckpoint(guildId, index) {
+  const storage = getGuildStorage(guildId);
+  const schedule = storage.readingSchedule;
+  const checkpoint = schedule.checkpoints[index];
+
+  checkpoint.reachedAt = new Date();
+  await setReadingPoint(guildId, checkpoint.point, { source: "schedule", channelId: schedule.channelId });
+  console.log(`📖 Reading point advanced to "${checkpoint.point}" by the schedule (Guild: ${guildId})`);
+
+  try {
+    const channel = await client.channels.fetch(getConfigValue(guildId, 'reminders') || schedule.channelId);
+    const checkpointEmbed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle('📖 New Reading Checkpoint')
+      .setDescription(`**Read until:** ${checkpoint.point}\n**By:** ${formatMeetingDate(checkpoint.dueAt)}${checkpoint.meeting ? " (meeting)" : ""}`)
+      .setFooter({ text: `${schedule.bookTitle} • Checkpoint ${index + 1} of ${schedule.checkpoints.length}`.slice(0, 2048) });
+    await channel.send({ embeds: [checkpointEmbed] });
+  } catch (error) {
+    // The reading point has moved on either way - don't let the job retry and announce it twice
+    console.error(`⚠️ Failed to announce reading checkpoint for guild ${guildId}:`, error);
+  }
+}
+
+// Job: advance the reading point, unless the schedule was replaced or the checkpoint's date has already passed
+registerJobHandler("readingCheckpoint", async ({ guildId, createdAt, index }) => {
+  const schedule = getGuildStorage(guildId).readingSchedule;
+  if (!schedule || schedule.createdAt !== createdAt) return;
+
+  const checkpoint = schedule.checkpoints[index];
+  if (!checkpoint || checkpoint.reachedAt) return;
+  if (DateTime.fromISO(checkpoint.dueAt) <= DateTime.now()) return;
+
+  await applyReadingCheckpoint(guildId, index);
+});
+
+// (Re)create the checkpoint jobs for the guild's reading schedule - one per checkpoint not yet reached
+async function scheduleReadingCheckpoints(guildId) {
+  try {
+    await cancelJobsByPrefix(`checkpoint:${guildId}:`);
+
+    const schedule = getGuildStorage(guildId).readingSchedule;
+    if (!schedule) return;
+
+    for (const [index, checkpoint] of schedule.checkpoints.entries()) {
+      if (checkpoint.reachedAt) continue;
+      await scheduleJob(
+        "readingCheckpoint",
+        { guildId, createdAt: schedule.createdAt, index },
+        DateTime.fromISO(checkpoint.startsAt).toJSDate(),
+        { key: `checkpoint:${guildId}:${index}` }
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Failed to schedule reading checkpoints for guild ${guildId}:`, error);
+  }
+}
+
+// "✅ Through Chapter 8 by <date> 📅" list for !schedule
+function buildScheduleEmbed(schedule) {
+  const lastReached = schedule.checkpoints.reduce((last, checkpoint, i) => (checkpoint.reachedAt ? i : last), -1);
+  const lines = schedule.checkpoints.map((checkpoint, i) => {
+    const icon = i < lastReached ? '✅' : i === lastReached ? '▶️' : '⏳';
+    return `${icon} **${checkpoint.point}** by ${formatMeetingDate(checkpoint.dueAt)}${checkpoint.meeting ? ' 📅' : ''}`;
+  });
+
+  return new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle(`🗓️ Reading Schedule: ${schedule.bookTitle}`.slice(0, 256))
+    .setDescription(lines.join("\n").slice(0, 4096))
+    .setFooter({ text: `${schedule.count} ${schedule.unit}s • 📅 = meeting • The reading point moves on automatically at each checkpoint` });
+}
+
+const PollSchema = new mongoose.Schema({
+  messageId: { type: String, required: true },
+  channelId: { type: String, required: true },
+  guildId: { type: String, required: true },
+  title: { type: String, required: true },
+  endTime: { type: Date, required: true },
+  votes: { type: Map, of: Number, default: {} }, // New: userId to rating value
+  optionsData: [{ // New: structured options for buttons
+    label: String,
+    value: Number,
+    customId: String
+  }],
+  bookTitle: { type: String, default: null }, // Sheet row the average rating is written to (set with !linkpoll)
+  markFinished: { type: Boolean, default: false }, // Also flip the book's Status to "finished"
+  endedAt: { type: Date, default: null },
+  averageRating: { type: Number, default: null }
+});
+// Finished polls are kept for a month so they can still be linked to a book, then removed by MongoDB
+PollSchema.index({ endedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+const Poll = mongoose.model("Poll", PollSchema);
+
+// Ranked-choice election for picking the next book
+const ElectionSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  channelId: { type: String, required: true },
+  messageId: String, // The voting message with the Vote button
+  status: { type: String, enum: ["nominating", "voting", "closed", "cancelled"], default: "nominating" },
+  nominations: [{ _id: false, title: String, author: String, nominatedBy: String }],
+  ballots: { type: Map, of: [Number], default: {} }, // userId -> nomination indexes, most preferred first (-1 = blank)
+  endTime: Date,
+  result: {
+    winner: String,
+    tied: [String],
+    rounds: [mongoose.Schema.Types.Mixed], // { counts, exhausted, eliminated } per round
+    totalBallots: Number,
+  },
+}, { timestamps: true });
+const Election = mongoose.model("Election", ElectionSchema);
+
+// Which page of !pastreads a message is showing, so its Previous/Next buttons keep working after a restart
+const ArchiveViewSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // Message ID
+  guildId: { type: String, required: true },
+  query: { type: String, default: "" }, // The filters as typed, parsed again on every page turn
+  page: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }, // Buttons stop working after a month
+});
+const ArchiveView = mongoose.model("ArchiveView", ArchiveViewSchema);
+
+// How far a member has got in a book (see progress.js) - one document per member per book
+const ReadingProgressSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  bookTitle: { type: String, required: true }, // The "currently reading" title from the sheet when it was recorded
+  kind: String, // "percent", "page" or "chapter"
+  value: Number,
+  updatedAt: { type: Date, default: Date.now },
+});
+ReadingProgressSchema.index({ guildId: 1, bookTitle: 1, userId: 1 }, { unique: true });
+const ReadingProgress = mongoose.model("ReadingProgress", ReadingProgressSchema);
+
+// Every change to a guild's reading point, for !pointhistory, !undopoint and working out what each meeting covered
+const ReadingPointChangeSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  point: String, // The new reading point (null when cleared)
+  previousPoint: String,
+  bookTitle: String, // The "currently reading" book at the time, if the sheet could be loaded
+  meetingIsoDate: String, // The meeting booked at the time, i.e. the meeting the point was set for
+  changedBy: String, // User ID, or null for the reading schedule
+  source: String, // "setpoint", "clearpoint", "schedule" or "undo"
+  undoneAt: Date, // Set when !undopoint reverted this change
+  createdAt: { type: Date, default: Date.now },
+});
+ReadingPointChangeSchema.index({ guildId: 1, createdAt: -1 });
+const ReadingPointChange = mongoose.model("ReadingPointChange", ReadingPointChangeSchema);
+
+// One discussion thread per reading point, so talk about the new chapters stays out of the main channel
+const CheckpointThreadSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  bookTitle: String,
+  point: String, // The reading point the thread is named after
+  kind: String, // The point read by parseProgress, for !spoilers (null if it isn't a chapter, page or percentage)
+  value: Number,
+  threadId: String,
+  channelId: String,
+  createdAt: { type: Date, default: Date.now },
+  archivedAt: Date, // Set once the book changed and the thread was archived
+});
+CheckpointThreadSchema.index({ guildId: 1, bookTitle: 1, point: 1 });
+const CheckpointThread = mongoose.model("CheckpointThread", CheckpointThreadSchema);
+
+// Ballots can rank at most 5 books - one select menu per action row
+const MAX_RANKS = 5;
+const ORDINAL_LABELS = ["1st", "2nd", "3rd", "4th", "5th"];
+
+function findActiveElection(guildId) {
+  return Election.findOne({ guildId, status: { $in: ["nominating", "voting"] } });
+}
+
+function describeBallot(election, ballot = []) {
+  const lines = ballot
+    .map((index, rank) => (index >= 0 ? `**${ORDINAL_LABELS[rank]}:** ${election.nominations[index]?.title}` : null))
+    .filter(Boolean);
+  return lines.length > 0 ? lines.join("\n") : "*You haven't ranked anything yet.*";
+}
+
+// One select menu per rank, with the member's current choices pre-selected
+function buildBallotComponents(election, ballot = []) {
+  const ranks = Math.min(MAX_RANKS, election.nominations.length);
+  const rows = [];
+  for (let rank = 0; rank < ranks; rank++) {
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(`election_rank_${election._id}_${rank}`)
+      .setPlaceholder(`${ORDINAL_LABELS[rank]} choice`)
+      .setMinValues(0)
+      .setMaxValues(1)
+      .addOptions(election.nominations.map((nomination, index) => ({
+        label: nomination.title.slice(0, 100),
+        description: nomination.author ? `by ${nomination.author}`.slice(0, 100) : undefined,
+        value: String(index),
+        default: ballot[rank] === index,
+      })));
+    rows.push(new ActionRowBuilder().addComponents(select));
+  }
+  return rows;
+}
+
+function buildElectionResultsEmbed(election) {
+  const { result } = election;
+  const resultsEmbed = new EmbedBuilder()
+    .setColor(0x9B59B6)
+    .setTitle('🗳️ Election Results')
+    .setTimestamp();
+
+  if (result.winner) {
+    const winner = election.nominations.find(nomination => nomination.title === result.winner);
+    resultsEmbed.setDescription(`🏆 **${result.winner}**${winner?.author ? ` *by ${winner.author}*` : ""} wins!\n${result.totalBallots} ballot(s) counted.`);
+  } else if (result.tied.length > 0 && result.totalBallots > 0) {
+    resultsEmbed.setDescription(`🤝 It's a tie between ${result.tied.map(title => `**${title}**`).join(", ")}.\n${result.totalBallots} ballot(s) counted.`);
+  } else {
+    resultsEmbed.setDescription("No ballots were cast.");
+  }
+
+  // Round-by-round breakdown (embeds allow at most 25 fields)
+  result.rounds.slice(0, 24).forEach((round, i) => {
+    const lines = Object.entries(round.counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([title, votes]) => `**${title}** - ${votes} vote${votes === 1 ? "" : "s"}`);
+    if (round.eliminated.length > 0) lines.push(`❌ Eliminated: ${round.eliminated.join(", ")}`);
+    if (round.exhausted > 0) lines.push(`*${round.exhausted} ballot(s) had no remaining choices*`);
+    resultsEmbed.addFields({ name: `Round ${i + 1}`, value: lines.join("\n").slice(0, 1024) });
+  });
+
+  return resultsEmbed;
+}
+
+// Count the ballots, post the results and close the election
+async function closeElection(electionId) {
+  const election = await Election.findById(electionId);
+  if (!election || election.status !== "voting") return null;
+
+  const candidates = election.nominations.map(nomination => nomination.title);
+  const ballots = Array.from(election.ballots.values()).map(ballot =>
+    ballot.filter(index => index >= 0).map(index => candidates[index])
+  );
+  const { winner, tied, rounds, totalBallots } = tallyInstantRunoff(candidates, ballots);
+
+  // Claim the close before posting anything - the job (or a retry of it) and `!election close` can race, and
+  // only the one that moves the election out of "voting" posts the results
+  const closed = await Election.findOneAndUpdate(
+    { _id: election._id, status: "voting" },
+    { status: "closed", result: { winner, tied, rounds, totalBallots } },
+    { new: true }
+  );
+  if (!closed) return null;
+  console.log(`🗳️ Election ${closed._id} closed - winner: ${winner || "none"}`);
+
+  let channel;
+  try {
+    channel = await client.channels.fetch(closed.channelId);
+    await channel.send({ embeds: [buildElectionResultsEmbed(closed)] });
+  } catch (error) {
+    // The election is closed either way - a retry must not post the results again
+    console.error(`❌ Failed to post the results of election ${closed._id}:`, error);
+    return closed;
+  }
+
+  if (closed.messageId) {
+    // Take the Vote button away
+    const votingMessage = await channel.messages.fetch(closed.messageId).catch(() => null);
+    await votingMessage?.edit({ components: [] }).catch(console.error);
+    await votingMessage?.unpin().catch(console.error);
+  }
+  return closed;
+}
+
+// Job: voting time is up
+registerJobHandler("closeElection", ({ electionId }) => closeElection(electionId));
+
+const Settings = mongoose.model("Settings", SettingsSchema);
+
+// Per-member preferences, keyed by Discord user ID
+const UserSettingsSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // User ID
+  timezone: String, // IANA zone, e.g. "America/New_York"
+  progressNudges: [String], // Guild IDs where the member wants a DM before meetings if they're behind
+});
+const UserSettings = mongoose.model("UserSettings", UserSettingsSchema);
+
+// Cache of user ID -> timezone so every command doesn't hit the DB
+const userTimezones = new Map();
+
+// The zone a member's date/time input is read in (UK time unless they set their own with !timezone)
+async function getUserTimezone(userId) {
+  if (userTimezones.has(userId)) return userTimezones.get(userId);
+  if (mongoose.connection.readyState !== 1) return DEFAULT_TIMEZONE;
+
+  try {
+    const userSettings = await UserSettings.findById(userId).lean();
+    const timezone = userSettings?.timezone || DEFAULT_TIMEZONE;
+    userTimezones.set(userId, timezone);
+    return timezone;
+  } catch (error) {
+    console.error(`❌ Error loading timezone for user ${userId}:`, error);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+// Per-guild state, keyed by guild ID (filled from the DB on startup)
+const guildSettings = new Map();
+
+// Get the settings for a guild, creating default state the first time a guild is seen
+function getGuildStorage(guildId) {
+  if (!guildId) {
+    // Direct messages have no guild - hand back throwaway defaults
+    return { readingPoint: null, meetingCount: 0 };
+  }
+  if (!guildSettings.has(guildId)) {
+    guildSettings.set(guildId, {
+      _id: guildId,
+      readingPoint: null,
+      meetingCount: 0,
+      recurrence: null,
+      readingSchedule: null,
+      commandPermissions: {},
+      config: {},
+    });
+  }
+  return guildSettings.get(guildId);
+}
+
+async function saveStorage(guildId) {
+  try {
+    // Save to MongoDB
+    await Settings.findByIdAndUpdate(guildId, getGuildStorage(guildId), {
+      upsert: true,
+      new: true,
+    });
+    console.log(`💾 Data saved to MongoDB (Guild: ${guildId})`);
+  } catch (error) {
+    console.error(`❌ Error saving to MongoDB (Guild: ${guildId}):`, error);
+  }
+}
+
+const NOTES_FOLDER_URL = "https://drive.google.com/drive/u/0/folders/1YAyccVd4uYvrLheVSahAn8sXLwwov_Io"; // discussions folder link
+
+// Settings organisers can change per guild with !config. `fallback` is used until a guild sets its own
+// (the env vars and links the bot originally had hard-coded), and `parse` turns the typed value into
+// what's stored, returning { value } or { error }.
+const CONFIG_OPTIONS = {
+  sheet: {
+    field: 'spreadsheetId',
+    label: '📊 Spreadsheet',
+    hint: 'a Google Sheets link or spreadsheet ID',
+    fallback: () => SPREADSHEET_ID,
+    parse: (text) => {
+      const id = text.match(/\/spreadsheets\/d\/([\w-]+)/)?.[1] || (/^[\w-]{20,}$/.test(text) ? text : null);
+      return id ? { value: id } : { error: "That doesn't look like a Google Sheets link or spreadsheet ID." };
+    },
+    describe: (value) => `[${value}](${getSpreadsheetUrl({ spreadsheetId: value })})`,
+  },
+  tab: {
+    field: 'sheetTab',
+    label: '📑 Sheet Tab',
+    hint: 'the name of the tab with the book list',
+    fallback: () => DEFAULT_TAB,
+    parse: (text) => (text.length <= 100 ? { value: text } : { error: 'Tab names are at most 100 characters.' }),
+    describe: (value) => `\`${value}\``,
+  },
+  notes: {
+    field: 'notesFolderUrl',
+    label: '📓 Book Notes Folder',
+    hint: 'a link to the notes folder',
+    fallback: () => NOTES_FOLDER_URL,
+    parse: (text) => (/^https?:\/\/\S+$/i.test(text) ? { value: text } : { error: 'The notes folder must be a link starting with https://' }),
+    describe: (value) => `[Open folder](${value})`,
+  },
+  voice: {
+    field: 'voiceChannelId',
+    label: '🔊 Meeting Voice Channel',
+    hint: 'a voice channel mention or ID',
+    fallback: () => process.env.VOICE_CHANNEL_ID || null,
+    channelTypes: [ChannelType.GuildVoice],
+    describe: (value) => `<#${value}>`,
+    unset: 'Any voice channel named like "book club" (or the first one)',
+  },
+  reminders: {
+    field: 'reminderChannelId',
+    label: '⏰ Reminder Channel',
+    hint: 'a text channel mention or ID',
+    fallback: () => null,
+    channelTypes: [ChannelType.GuildText, ChannelType.GuildAnnouncement],
+    describe: (value) => `<#${value}>`,
+    unset: 'The channel the meeting was scheduled in',
+  },
+  category: {
+    field: 'commandCategoryId',
+    label: '🗂️ Command Category',
+    hint: 'a category ID or name',
+    fallback: () => process.env.DISCORD_CATEGORY_ID || null,
+    channelTypes: [ChannelType.GuildCategory],
+    describe: (value) => `<#${value}>`,
+    unset: 'Commands work in every channel',
+  },
+  discussion: {
+    field: 'discussionChannelId',
+    label: '🧵 Discussion Channel',
+    hint: 'a text channel mention or ID',
+    fallback: () => null,
+    channelTypes: [ChannelType.GuildText],
+    describe: (value) => `<#${value}>`,
+    unset: 'The channel the reading point was set in',
+  },
+};
+
+// A guild's effective config value for a !config key (its own setting, else the default)
+function getConfigValue(guildId, key) {
+  const option = CONFIG_OPTIONS[key];
+  return getGuildStorage(guildId).config?.[option.field] || option.fallback() || null;
+}
+
+// The spreadsheet a guild reads its books from, in the { spreadsheetId, tab } form sheets.js takes
+function getSheetSource(guildId) {
+  return { spreadsheetId: getConfigValue(guildId, 'sheet'), tab: getConfigValue(guildId, 'tab') };
+}
+
+// Parse a !config value, looking channels up in the guild for the channel settings
+function parseConfigValue(guild, key, text) {
+  const option = CONFIG_OPTIONS[key];
+  if (!option.channelTypes) return option.parse(text);
+
+  const id = text.match(/^<#(\d+)>$/)?.[1] || (/^\d+$/.test(text) ? text : null);
+  const channel = id
+    ? guild.channels.cache.get(id)
+    : guild.channels.cache.find(ch => option.channelTypes.includes(ch.type) && ch.name.toLowerCase() === text.toLowerCase());
+  if (!channel) return { error: `Couldn't find that channel - use ${option.hint}.` };
+  if (!option.channelTypes.includes(channel.type)) return { error: `<#${channel.id}> isn't the right kind of channel - use ${option.hint}.` };
+  return { value: channel.id };
+}
+
+// One-off migration: move the old single "global_settings" document onto MAIN_GUILD_ID
+async function migrateGlobalSettings() {
+  const legacySettings = await Settings.findById("global_settings").lean();
+  if (!legacySettings) return;
+
+  const mainGuildId = process.env.MAIN_GUILD_ID;
+  if (!mainGuildId) {
+    console.warn("⚠️ Found legacy global_settings but MAIN_GUILD_ID is not set - skipping migration.");
+    return;
+  }
+
+  const existing = await Settings.findById(mainGuildId).lean();
+  if (existing) {
+    console.warn(`⚠️ Guild ${mainGuildId} already has settings - leaving legacy global_settings untouched.`);
+    return;
+  }
+
+  // Copied raw rather than through the schema, which would drop fields later migrations still need (`meetingInfo`)
+  const { _id, __v, ...legacyData } = legacySettings;
+  await Settings.collection.insertOne({ ...legacyData, _id: mainGuildId });
+  await Settings.deleteOne({ _id: "global_settings" });
+  console.log(`🚚 Migrated global_settings to guild ${mainGuildId}`);
+  return legacyData.meetingInfo?.isoDate ? { guildId: mainGuildId, meetingIsoDate: legacyData.meetingInfo.isoDate } : null;
+}
+
+// The meeting a migrated global_settings document had booked should now be in the Meeting collection
+async function checkGlobalMeetingMigrated({ guildId, meetingIsoDate }) {
+  if (await Meeting.exists({ guildId, isoDate: meetingIsoDate })) {
+    console.log(`✅ The global_settings meeting at ${meetingIsoDate} is now a meeting of guild ${guildId}`);
+  } else {
+    console.error(`❌ The global_settings meeting at ${meetingIsoDate} didn't make it into guild ${guildId}'s meetings`);
+  }
+}
+
+
+// Settings used to hold a single `meetingInfo` that was overwritten by each new meeting. Move it into the
+// Meeting collection, along with the earlier meetings the reading point history and attendance remember.
+// Safe to re-run after a crash part way through: meetings are upserted by start time, numbered the same way
+// each time, and `meetingInfo` is only unset once a guild's meetings are all in.
+async function migrateMeetingInfo() {
+  const legacySettings = await Settings.find({ _id: { $ne: "global_settings" }, meetingInfo: { $exists: true } }).lean();
+  for (const { _id: guildId, meetingInfo } of legacySettings) {
+    try {
+      // Meeting dates recorded before the collection existed - only ones that have passed can be known to have happened
+      const pastDates = [
+        ...await ReadingPointChange.distinct("meetingIsoDate", { guildId, meetingIsoDate: { $ne: null } }),
+        ...await MeetingAttendance.distinct("meetingIsoDate", { guildId }),
+      ].filter(isoDate => isoDate !== meetingInfo?.isoDate && getMeetingWindow(isoDate).end <= DateTime.now());
+      const dates = [...new Set(pastDates)].sort((a, b) => DateTime.fromISO(a) - DateTime.fromISO(b));
+      const migratingDates = new Set([...dates, meetingInfo?.isoDate].filter(Boolean));
+
+      // Meetings this migration didn't write mean the guild is already on the Meeting collection - renumbering
+      // its history now would clash with them, so just drop the leftover field
+      const existing = await Meeting.find({ guildId }).select("isoDate number").lean();
+      if (existing.some(meeting => !migratingDates.has(meeting.isoDate))) {
+        const meetingCount = Math.max(...existing.map(meeting => meeting.number));
+        await Settings.updateOne({ _id: guildId }, { $unset: { meetingInfo: 1 }, $max: { meetingCount } }, { strict: false });
+        console.warn(`⚠️ Guild ${guildId} already has meetings - dropped its legacy meetingInfo without migrating it`);
+        continue;
+      }
+
+      const upsertMeeting = (meeting) => Meeting.updateOne(
+        { guildId, isoDate: meeting.isoDate },
+        { $setOnInsert: meeting },
+        { upsert: true }
+      );
+
+      let number = 0;
+      for (const isoDate of dates) {
+        await upsertMeeting({
+          number: ++number,
+          isoDate,
+          status: "held",
+          readingPoint: (await getReadingPointAt(guildId, DateTime.fromISO(isoDate).toJSDate())) ?? null,
+        });
+      }
+
+      // The booked meeting stays scheduled - if it's already over, its end job files it as held
+      if (meetingInfo?.isoDate) {
+        const rule = (await Settings.findById(guildId).lean())?.recurrence;
+        await upsertMeeting({
+          number: ++number,
+          isoDate: meetingInfo.isoDate,
+          eventId: meetingInfo.eventId,
+          channelId: meetingInfo.channelId,
+          voiceChannelId: meetingInfo.voiceChannelId,
+          series: Boolean(rule && findOccurrenceDate(rule, DateTime.fromISO(meetingInfo.isoDate), DEFAULT_TIMEZONE)),
+          // Older documents tracked the single 2-day reminder with a boolean
+          remindersSent: meetingInfo.reminderSent ? [String(DEFAULT_REMINDERS[0].offsetMinutes)] : meetingInfo.remindersSent || [],
+          rsvpMessages: meetingInfo.rsvpMessages || [],
+        });
+      }
+
+      await Settings.updateOne({ _id: guildId }, { $unset: { meetingInfo: 1 }, $set: { meetingCount: number } }, { strict: false });
+      console.log(`🚚 Moved ${number} meeting(s) into the meeting history (Guild: ${guildId})`);
+    } catch (error) {
+      // Leave meetingInfo in place so the next start tries again - the other guilds still load
+      console.error(`❌ Failed to migrate meetings for guild ${guildId}:`, error);
+    }
+  }
+}
+
+// Fill the in-memory upcoming meetings from the DB
+async function loadUpcomingMeetings() {
+  const meetings = await Meeting.find({ status: "scheduled" }).select("-__v").lean();
+  for (const meeting of meetings) addUpcomingMeeting(meeting);
+  console.log(`📥 Loaded ${meetings.length} upcoming meeting(s) from database`);
+}
+
+// SIMPLE EXPRESS SERVER FOR INTERNAL USE
+const app = express();
+const port = 3000;
+
+app.get("/", (req, res) => {
+  const uptime = process.uptime();
+  const hours = Math.floor(uptime / 3600);
+  const minutes = Math.floor((uptime % 3600) / 60);
+  const seconds = Math.floor(uptime % 60);
+
+  res.json({
+    status: "Book Club Bot is running!",
+    uptime: `${hours}h ${minutes}m ${seconds}s`,
+    guilds: client?.guilds?.cache?.size || 0,
+    clubs: Array.from(guildSettings.values()).map(settings => {
+      const sheet = getSheetCacheStatus(getSheetSource(settings._id));
+      return {
+        guildId: settings._id,
+        currentPoint: settings.readingPoint,
+        nextMeeting: getNextMeeting(settings._id)?.isoDate || null,
+        sheet: { source: sheet.source, degraded: sheet.degraded, lastFetched: sheet.fetchedAt, lastError: sheet.lastError },
+      };
+    }),
+    // Add a specific keyword for monitoring
+    monitor: "BOOK_CLUB_BOT_ACTIVE",
+  });
+});
+
+// The least healthy spreadsheet any club is reading from, so /health shows a degraded sheet in any guild
+function getWorstSheetStatus() {
+  const severity = { live: 1, cached: 2, sample: 3 };
+  const statuses = guildSettings.size > 0
+    ? [...guildSettings.keys()].map(guildId => getSheetCacheStatus(getSheetSource(guildId)))
+    : [getSheetCacheStatus()];
+  return statuses.sort((a, b) => (severity[b.source] || 0) - (severity[a.source] || 0))[0];
+}
+
+// Add a dedicated health endpoint with simple text response
+app.get("/health", (req, res) => {
+  const botStatus = client?.isReady() ? "connected" : "disconnected";
+  const sheet = getWorstSheetStatus();
+  const sheetStatus = `sheet:${sheet.source || "unloaded"}${sheet.degraded ? ":degraded" : ""}`;
+  const sheetError = sheet.lastError ? `|sheet_error:${sheet.lastError.replace(/[|\r\n]+/g, " ")}` : "";
+
+  // Simple text response that's easy to monitor
+  res.send(`BOOK_CLUB_BOT_OK|${botStatus}|${Math.floor(process.uptime())}s|${sheetStatus}${sheetError}`);
+});
+
+app.get("/monitor", (req, res) => {
+  // Ultra-simple endpoint just for monitoring
+  res.send("BOOK_CLUB_BOT_ACTIVE");
+});
+
+
+// Start the server
+const server = app.listen(process.env.PORT || port, '0.0.0.0', () => {
+  console.log(`Server running on port ${process.env.PORT || port}`);
+});
+
+server.on('error', (error) => {
+  if (error.code === 'EADDRINUSE') {
+    console.error(`❌ FATAL ERROR: Port ${process.env.PORT || port} is already in use.`);
+    console.error('   This usually means another instance of the bot is already running.');
+    console.error('   Please close the other instance before starting this one.');
+    process.exit(1);
+  }
+});
+
+// ROBUST BOT WITH SELF-KEEP-ALIVE
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildScheduledEvents,
+    GatewayIntentBits.GuildVoiceStates, // Meeting attendance
+  ],
+  // Event interest arrives as bare IDs for users and events that aren't cached
+  partials: [Partials.User, Partials.GuildScheduledEvent],
+});
+
+// Add debug and warn listeners to track down the silent login hang
+client.on("debug", console.log);
+client.on("warn", console.warn);
+client.rest.on("restDebug", console.log);
+client.rest.on("rateLimited", console.warn);
+
+const PREFIX = "!";
+
+// Set timezone to UK
+const DEFAULT_TIMEZONE = "Europe/London";
+
+// How long a meeting (and its Discord event) runs
+const MEETING_DURATION_HOURS = 2;
+
+// Enhanced bot initialization with auto-restart
+async function initializeBot() {
+  // 1. Connect to MongoDB
+  if (process.env.MONGODB_URI) {
+    try {
+      console.log(`🍃 Connecting to MongoDB using URI: ${process.env.MONGODB_URI.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@')}`); // Mask sensitive parts for logging
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log("✅ Connected to MongoDB");
+
+      // 2. Migrate the old single-document settings, then load every guild's saved data
+      const migratedGlobal = await migrateGlobalSettings();
+      await migrateMeetingInfo();
+      if (migratedGlobal) await checkGlobalMeetingMigrated(migratedGlobal);
+      const savedSettings = await Settings.find({});
+      for (const settings of savedSettings) {
+        const data = settings.toObject({ flattenMaps: true });
+        data.meetingCount = data.meetingCount || 0;
+        data.commandPermissions = data.commandPermissions || {};
+        data.recurrence = data.recurrence || null;
+        data.readingSchedule = data.readingSchedule || null;
+        data.config = data.config || {};
+        guildSettings.set(data._id, data);
+      }
+      console.log(`📥 Loaded settings for ${guildSettings.size} guild(s) from database`);
+      await loadUpcomingMeetings();
+    } catch (error) {
+      console.error("❌ MongoDB Connection Error:", error);
+    }
+  } else {
+    console.warn("⚠️ MONGODB_URI not set! Data will not persist on restart.");
+  }
+
+  let retryCount = 0;
+  const maxLoginRetries = 10; // Maximum number of login attempts
+  const baseRetryDelayMs = 5000; // 5 seconds base delay
+
+  while (retryCount < maxLoginRetries) {
+    try {
+      let loginTimeoutId; // Declare a variable to hold the timeout ID
+      console.log(`   DEBUG environment variable: ${process.env.DEBUG}`); // Added to check if DEBUG is set
+      console.log(`   Discord Bot Token status: ${token ? 'present' : 'missing'}`); // Log if token is present, not the token itself
+      console.log("🤖 Attempting to login to Discord...");
+      console.log("⏳ Initializing Discord.js login promise...");
+      const loginPromise = client.login(token);
+      console.log("⏱️ Setting up 60-second login timeout...");
+      const timeoutPromise = new Promise((resolve, reject) => {
+        loginTimeoutId = setTimeout(() => { // Assign the timeout ID
+          console.error("⏰ Discord login timeout of 60 seconds reached. Exiting process.");
+          // Attempt a synchronous write to stderr to ensure it's logged immediately
+          process.stderr.write("⏰ [FATAL] Discord login timed out. Forcing exit.\n");
+          reject(new Error("Discord login timed out after 60 seconds"));
+          process.exit(1); // Force exit to ensure log is flushed and process doesn't hang
+        }, 60000); // Correctly close setTimeout
+      }); // Correctly close new Promise
+      console.log("🏁 Waiting for Discord login or timeout...");
+      await Promise.race([loginPromise, timeoutPromise]);
+      clearTimeout(loginTimeoutId); // Clear the timeout if login is successful
+      console.log("✅ Bot logged in successfully");
+      break; // Exit loop on success
+    } catch (error) {
+      clearTimeout(loginTimeoutId); // Also clear timeout if login fails for other reasons
+      retryCount++;
+
+      //check for rate limit error
+      if (error.status === 429 || error.message.includes("429")) {
+        //check for retry time in error
+        const retryAfter = (error.retryAfter || 300) * 1000;
+        console.error(`🛑 Rate Limited! Discord says wait ${retryAfter / 1000} seconds.`);
+
+        //wait until time Discord says
+        await new Promise((resolve) => setTimeout(resolve, retryAfter));
+        continue;
+      }
+
+      let errorMessage = `❌ Discord login failed (Attempt ${retryCount}/${maxLoginRetries}): ${error.message}`;
+      if (error.code) {
+        errorMessage += ` (Discord.js Error Code: ${error.code})`;
+      }
+      console.error(errorMessage, error); // Log the full error object for more details
+
+      if (retryCount < maxLoginRetries) {
         const delay = baseRetryDelayMs * Math.pow(2, retryCount - 1); // Exponential backoff
         console.log(`🔄 Retrying in ${delay / 1000} seconds...`);
         await new Promise((resolve) => setTimeout(resolve, delay));
@@ -433,11 +1825,25 @@ client.once("ready", () => {
   console.log(`✅ Logged in as ${client.user.tag}!`);
   console.log(`📊 Bot is in ${client.guilds.cache.size} server(s)`);
   console.log(`🆔 Session ID: ${SESSION_ID}`);
-  console.log(`📖 Loaded reading point: ${currentPoint}`);
-  console.log(`📅 Loaded meeting info:`, meetingInfo);
+  for (const [guildId, settings] of guildSettings) {
+    console.log(`📖 [${guildId}] Loaded reading point: ${settings.readingPoint}`);
+    console.log(`📅 [${guildId}] Loaded ${getUpcomingMeetings(guildId).length} upcoming meeting(s)`);
+  }
 
-  loadActivePolls(); // Load and reschedule active polls
-  scheduleMeetingReminder();
+  // Poll endings, reminders and recurring meetings all run from the Mongo-backed job queue
+  if (mongoose.connection.readyState === 1) {
+    for (const guildId of guildSettings.keys()) {
+      scheduleMeetingReminders(guildId);
+      scheduleRecurrenceCheck(guildId);
+    }
+    for (const guild of client.guilds.cache.values()) syncMeetingEvents(guild);
+    loadActivePolls().catch(error => console.error("❌ Failed to load active polls:", error));
+    loadSheetCache().catch(error => console.error("❌ Failed to load the sheet cache:", error));
+    startScheduler(SESSION_ID);
+  } else {
+    console.warn("⚠️ MongoDB not connected - polls, reminders and recurring meetings will not be scheduled.");
+  }
+  registerSlashCommands();
 
 
   // DISCORD-BASED KEEP ALIVE SYSTEM
@@ -473,10 +1879,16 @@ client.once("ready", () => {
   });
 });
 
-// Improved date parsing with UK timezone
-function parseMeetingDateTime(dateStr, timeStr) {
+// Improved date parsing, read in the given zone (UK time by default)
+function parseMeetingDateTime(dateStr, timeStr, zone = DEFAULT_TIMEZONE) {
   const combined = timeStr ? `${dateStr} ${timeStr}` : dateStr;
 
+  // Relative dates ("next friday", "tomorrow 8pm", "in 2 weeks") carry their own time and year
+  const relativeDate = parseRelativeDate(combined, zone);
+  if (relativeDate) {
+    return relativeDate;
+  }
+
   // Try multiple common formats
   const formats = [
     // Year first
@@ -539,10 +1951,10 @@ function parseMeetingDateTime(dateStr, timeStr) {
 
   let parsedDate = null;
 
-  // Try structured formats first with UK timezone
+  // Try structured formats first in the given zone
   for (const format of formats) {
     const attempt = DateTime.fromFormat(combined, format, {
-      zone: DEFAULT_TIMEZONE,
+      zone,
     });
     if (attempt.isValid) {
       parsedDate = attempt;
@@ -550,10 +1962,10 @@ function parseMeetingDateTime(dateStr, timeStr) {
     }
   }
 
-  // If structured parsing failed, try natural language with UK timezone
+  // If structured parsing failed, try natural language in the given zone
   if (!parsedDate) {
     const naturalAttempt = DateTime.fromJSDate(new Date(combined), {
-      zone: DEFAULT_TIMEZONE,
+      zone,
     });
     if (naturalAttempt.isValid) {
       parsedDate = naturalAttempt;
@@ -564,7 +1976,7 @@ function parseMeetingDateTime(dateStr, timeStr) {
     return DateTime.invalid("Could not parse date");
   }
 
-  // If no time specified, default to 7:00 PM UK time
+  // If no time specified, default to 7:00 PM
   if (!timeStr && parsedDate.isValid) {
     parsedDate = parsedDate.set({
       hour: 19,
@@ -577,7 +1989,7 @@ function parseMeetingDateTime(dateStr, timeStr) {
   // Smart year adjustment:
   // If the date is in the past AND the user didn't explicitly type a year (like "2025" or "2026"),
   // assume they meant the next occurrence of this date (next year).
-  const now = DateTime.now().setZone(DEFAULT_TIMEZONE);
+  const now = DateTime.now().setZone(zone);
   const hasYear = /\b20\d{2}\b/.test(combined); // Checks for 2024, 2025, 2026, etc.
 
   if (parsedDate.isValid && parsedDate < now && !hasYear) {
@@ -587,14 +1999,39 @@ function parseMeetingDateTime(dateStr, timeStr) {
   return parsedDate;
 }
 
-// Format date for display with UK timezone
+// Split command args into a date part and an optional trailing time ("7pm", "19:00")
+function splitDateAndTime(args) {
+  const parts = [...args];
+  let timeStr;
+  if (parts.length >= 2) {
+    const lastArg = parts[parts.length - 1].toLowerCase();
+    if (
+      lastArg.includes("pm") ||
+      lastArg.includes("am") ||
+      lastArg.match(/\d{1,2}:\d{2}/)
+    ) {
+      timeStr = parts.pop();
+    }
+  }
+  return { dateStr: parts.join(" "), timeStr };
+}
+
+// Format date for display as a Discord timestamp, which each member sees in their own local time
 function formatMeetingDate(isoDate) {
   if (!isoDate) return null;
 
-  const date = DateTime.fromISO(isoDate).setZone(DEFAULT_TIMEZONE);
+  const date = DateTime.fromISO(isoDate);
   if (!date.isValid) return null;
 
-  return date.toLocaleString(DateTime.DATETIME_FULL);
+  return `<t:${Math.floor(date.toSeconds())}:F>`;
+}
+
+// Discord events named like this are the club's meetings: the bot names its own events this way, and adopts
+// events organisers create by hand whose name contains "Booq Club Meeting" (any case, emoji optional)
+const MEETING_EVENT_NAME = "📚 Booq Club Meeting";
+
+function isMeetingEventName(name) {
+  return String(name || "").toLowerCase().replace(/\s+/g, " ").includes("booq club meeting");
 }
 
 // Function to create Discord event
@@ -602,11 +2039,11 @@ async function createBookClubEvent(
   guild,
   dateTime,
   description = "Booq Club Meeting",
-  voiceChannelId = process.env.VOICE_CHANNEL_ID // Add this parameter
+  voiceChannelId = getConfigValue(guild.id, 'voice')
 ) {
   try {
     const startTime = dateTime.toJSDate();
-    const endTime = dateTime.plus({ hours: 2 }).toJSDate(); // 2 hours later
+    const endTime = dateTime.plus({ hours: MEETING_DURATION_HOURS }).toJSDate();
 
     // Try to get the specified voice channel
     let voiceChannel = null;
@@ -647,7 +2084,7 @@ async function createBookClubEvent(
 
     // Create VOICE channel event instead of EXTERNAL
     const event = await guild.scheduledEvents.create({
-      name: "📚 Booq Club Meeting",
+      name: MEETING_EVENT_NAME,
       scheduledStartTime: startTime,
       scheduledEndTime: endTime,
       privacyLevel: 2, // GUILD_ONLY
@@ -665,6 +2102,29 @@ async function createBookClubEvent(
   }
 }
 
+// Check the guild's command category restriction (`!config set category`, default DISCORD_CATEGORY_ID)
+// for a channel (applies to both `!` and slash commands)
+function isChannelAllowed(guild, channel, currentCount) {
+  if (!guild) return true;
+  const categoryId = getConfigValue(guild.id, 'category');
+  if (!categoryId) return true;
+
+  // Check if this category ID actually exists in this specific server
+  const category = guild.channels.cache.get(categoryId);
+
+  // If the category exists in this server, we enforce the restriction
+  if (category) {
+    if (channel.parentId !== categoryId) {
+      console.log(`🚫 [${currentCount}] Ignored command from channel ${channel.id} (Category: ${channel.parentId}) - Restricted to Category ${categoryId}`);
+      return false;
+    }
+  } else {
+    // If the category ID doesn't exist in this server, we ignore the restriction (Global fallback)
+    console.log(`ℹ️ [${currentCount}] Category restriction ignored - Category ID ${categoryId} not found in this server`);
+  }
+  return true;
+}
+
 // COMPLETE MESSAGE HANDLER WITH ALL COMMANDS
 let commandCount = 0;
 client.on("messageCreate", async (message) => {
@@ -682,22 +2142,7 @@ client.on("messageCreate", async (message) => {
   }
 
   // Check for Category restriction
-  const categoryId = process.env.DISCORD_CATEGORY_ID;
-  if (categoryId && message.guild) {
-    // Check if this category ID actually exists in this specific server
-    const category = message.guild.channels.cache.get(categoryId);
-    
-    // If the category exists in this server, we enforce the restriction
-    if (category) {
-      if (message.channel.parentId !== categoryId) {
-        console.log(`🚫 [${currentCount}] Ignored command from channel ${message.channel.id} (Category: ${message.channel.parentId}) - Restricted to Category ${categoryId}`);
-        return;
-      }
-    } else {
-      // If the category ID doesn't exist in this server, we ignore the restriction (Global fallback)
-      console.log(`ℹ️ [${currentCount}] Category restriction ignored - Category ID ${categoryId} not found in this server`);
-    }
-  }
+  if (!isChannelAllowed(message.guild, message.channel, currentCount)) return;
 
   // DETAILED DEBUG LOGGING
   console.log(`🔍 [${currentCount}] COMMAND START: "${message.content}"`);
@@ -706,19 +2151,232 @@ client.on("messageCreate", async (message) => {
   console.log(`   Timestamp: ${Date.now()}`);
   
   const args = message.content.slice(PREFIX.length).trim().split(/ +/);
-  
-  // Check if command is executed in a guild for guild-specific commands
-  const guildOnlyCommands = ['setmeeting', 'clearevent', 'poll', 'random', 'pastreads', 'reading', 'nextmeeting'];
-  if (guildOnlyCommands.includes(args[0]?.toLowerCase()) && !message.guild) {
-    console.log(`🚫 [${currentCount}] Ignored guild-only command "${args[0]}" in DM`);
-    return message.reply("This command can only be used in a server channel, not in a Direct Message.");
+  const command = args.shift().toLowerCase();
+
+  await runCommand(command, args, message, currentCount);
+});
+
+// Resolve the rule that guards a command in a guild: the guild's override, else the default from commands.js
+function getCommandRule(guildId, commandName) {
+  const override = getGuildStorage(guildId).commandPermissions?.[commandName];
+  if (override) return { ...override, isOverride: true };
+
+  const permission = findCommand(commandName)?.permission;
+  return permission ? { permission, isOverride: false } : null;
+}
+
+function describeCommandRule(rule) {
+  if (!rule || rule.everyone) return "Everyone";
+  if (rule.roleId) return `<@&${rule.roleId}>`;
+  return `\`${rule.permission}\` permission`;
+}
+
+// How long a `!` command's permission refusal stays in the channel (give or take a scheduler poll)
+const REFUSAL_LIFETIME_MS = 30 * 1000;
+
+// Job: tidy away a bot message, e.g. a `!` permission refusal. One that's already gone is fine.
+registerJobHandler("deleteMessage", async ({ channelId, messageId }) => {
+  try {
+    const channel = await client.channels.fetch(channelId);
+    const botMessage = await channel.messages.fetch(messageId);
+    await botMessage.delete();
+  } catch (error) {
+    if (error.code !== RESTJSONErrorCodes.UnknownChannel && error.code !== RESTJSONErrorCodes.UnknownMessage) throw error;
   }
+});
 
+// Returns a refusal embed if the member may not run the command, otherwise null
+function getPermissionRefusal(member, guildId, commandName) {
+  const rule = getCommandRule(guildId, commandName);
+  if (!rule || rule.everyone) return null;
 
-  const command = args.shift().toLowerCase();
+  if (member) {
+    // Server admins can always run everything, so a bad override can't lock organisers out
+    if (member.permissions?.has(PermissionFlagsBits.Administrator)) return null;
+    if (rule.roleId && member.roles?.cache?.has(rule.roleId)) return null;
+    if (rule.permission && member.permissions?.has(PermissionFlagsBits[rule.permission])) return null;
+  }
+
+  return new EmbedBuilder()
+    .setColor(0xE74C3C)
+    .setTitle('🔒 Permission Needed')
+    .setDescription(`You need ${describeCommandRule(rule)} to use \`${commandName}\`.`);
+}
+
+// Wrap a slash command interaction so it can be handled like a `!` message.
+// The reply is deferred straight away because sheet fetches can take longer than Discord's 3 second window.
+function createInteractionContext(interaction) {
+  let responded = false;
+  return {
+    content: `/${interaction.commandName}`,
+    author: interaction.user,
+    member: interaction.member,
+    guild: interaction.guild,
+    channel: interaction.channel,
+    interaction,
+    reply: async (payload) => {
+      if (!responded) {
+        responded = true;
+        return interaction.editReply(payload);
+      }
+      return interaction.followUp(payload);
+    },
+  };
+}
+
+async function handleSlashCommand(interaction) {
+  commandCount++;
+  const currentCount = commandCount;
+
+  console.log(`🔍 [${currentCount}] SLASH COMMAND START: "/${interaction.commandName}"`);
+  console.log(`   Author: ${interaction.user.tag} (${interaction.user.id})`);
+  console.log(`   Channel: ${interaction.channelId}`);
+
+  try {
+    if (interaction.channel && !isChannelAllowed(interaction.guild, interaction.channel, currentCount)) {
+      return await interaction.reply({ content: "Book club commands can't be used in this channel.", ephemeral: true });
+    }
+
+    // Checked before deferring so the refusal can stay ephemeral
+    const refusal = getPermissionRefusal(interaction.member, interaction.guildId, interaction.commandName);
+    if (refusal) {
+      console.log(`🔒 [${currentCount}] ${interaction.user.tag} lacks permission for /${interaction.commandName}`);
+      return await interaction.reply({ embeds: [refusal], ephemeral: true });
+    }
+
+    await interaction.deferReply();
+    const context = createInteractionContext(interaction);
+    await runCommand(interaction.commandName, interactionToArgs(interaction), context, currentCount);
+  } catch (error) {
+    console.error(`💥 [${currentCount}] Error handling slash command /${interaction.commandName}:`, error);
+    // Don't leave the member on "thinking..." - the interaction may have expired too, so ignore failures here
+    const errorMessage = { content: "❌ Sorry, something went wrong running that command.", embeds: [], components: [] };
+    if (interaction.replied) {
+      await interaction.followUp({ content: errorMessage.content, ephemeral: true }).catch(() => {});
+    } else if (interaction.deferred) {
+      await interaction.editReply(errorMessage).catch(() => {});
+    } else {
+      await interaction.reply({ content: errorMessage.content, ephemeral: true }).catch(() => {});
+    }
+  }
+}
+
+// Mark book embeds built from anything but live sheet data, so placeholder or outdated books
+// aren't mistaken for the club's real list
+function addSheetWarning(embed, { source, fetchedAt, lastError }) {
+  if (source === 'sample') {
+    embed.setColor(0xFFA500).addFields({
+      name: '⚠️ Sample Data',
+      value: `The spreadsheet couldn't be loaded${lastError ? ` (${lastError})` : ''}, so these are placeholder books - not the club's real list.`
+    });
+  } else if (source === 'cached') {
+    embed.addFields({
+      name: '⚠️ Cached Data',
+      value: lastError
+        ? `Google Sheets isn't responding (${lastError}), so this is from the copy fetched <t:${Math.floor(fetchedAt.getTime() / 1000)}:R>.`
+        : `This is from the copy fetched <t:${Math.floor(fetchedAt.getTime() / 1000)}:R> - a fresh copy is on its way.`
+    });
+  }
+  return embed;
+}
+
+const STATUS_LABELS = {
+  [BOOK_STATUS.READING]: '📖 Currently reading',
+  [BOOK_STATUS.FINISHED]: '✅ Finished',
+  [BOOK_STATUS.TOP_CHOICE]: '🏆 Top choice',
+  [BOOK_STATUS.FUTURE_OPTION]: '🔮 Future option',
+};
+
+// "✅ Finished • ⭐ 4.5/5 • [View Book](...)" for a book record
+function describeBookDetails(book) {
+  const parts = [STATUS_LABELS[book.status] || (book.rawStatus ? `❔ ${book.rawStatus}` : '❔ No status')];
+  if (book.rating !== null) parts.push(`⭐ ${book.rating}/5`);
+  if (book.link) parts.push(`[View Book](${book.link})`);
+  return parts.join(' • ');
+}
+
+// Add the cover, page count, year, subjects and a short description from the metadata provider.
+// A failed lookup is only logged - the sheet's own details are enough on their own.
+async function addBookMetadata(embed, book) {
+  try {
+    const metadata = await getBookMetadata(book);
+    if (!metadata) return embed;
+
+    if (metadata.coverUrl) embed.setThumbnail(metadata.coverUrl);
+    if (metadata.description) embed.setDescription(`${embed.data.description}\n\n${metadata.description}`.slice(0, 4096));
+    if (metadata.pages) embed.addFields({ name: '📄 Pages', value: `${metadata.pages}`, inline: true });
+    if (metadata.year) embed.addFields({ name: '📅 Published', value: `${metadata.year}`, inline: true });
+    if (metadata.subjects?.length > 0) {
+      embed.addFields({ name: '🏷️ Subjects', value: metadata.subjects.join(', ').slice(0, 1024) });
+    }
+  } catch (error) {
+    console.warn(`⚠️ Couldn't load metadata for "${book.title}":`, error.message);
+  }
+  return embed;
+}
+
+// Suggest book titles from the spreadsheet for options marked with `autocomplete: 'books'`
+async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const option = findCommand(interaction.commandName)?.options?.find(opt => opt.name === focused.name);
+  if (option?.autocomplete !== 'books') return interaction.respond([]);
+
+  try {
+    const { books, source } = await getBookData(getSheetSource(interaction.guildId));
+    if (source === 'sample') return interaction.respond([]); // Don't suggest placeholder books
+    const query = String(focused.value || '').toLowerCase();
+    const titles = [...new Set(
+      books
+        .map(book => book.title)
+        .filter(title => title.toLowerCase().includes(query))
+    )].slice(0, 25); // Discord allows at most 25 choices
+
+    await interaction.respond(titles.map(title => ({ name: title.slice(0, 100), value: title.slice(0, 100) })));
+  } catch (error) {
+    console.error(`Error building autocomplete for /${interaction.commandName}:`, error);
+    await interaction.respond([]).catch(() => {});
+  }
+}
+
+// Register (or update) the global application commands
+async function registerSlashCommands() {
+  try {
+    await client.application.commands.set(buildSlashCommands());
+    console.log("✅ Registered slash commands");
+  } catch (error) {
+    console.error("❌ Failed to register slash commands:", error);
+  }
+}
+
+// Shared implementation behind every `!` and slash command.
+// `message` is either a discord.js Message or the context built by createInteractionContext.
+async function runCommand(command, args, message, currentCount) {
+  // Check if command is executed in a guild for guild-specific commands
+  if (findCommand(command)?.guildOnly && !message.guild) {
+    console.log(`🚫 [${currentCount}] Ignored guild-only command "${command}" in DM`);
+    return message.reply("This command can only be used in a server channel, not in a Direct Message.");
+  }
 
   console.log(`   Parsed command: ${command}, args: ${args.join(', ')}`);
 
+  // Settings for the guild this command was run in
+  const guildId = message.guild?.id;
+  const storage = getGuildStorage(guildId);
+
+  // Slash commands are refused (ephemerally) before they get here, so this is the `!` path - messages can't be
+  // ephemeral, so the refusal tidies itself away instead
+  const refusal = getPermissionRefusal(message.member, guildId, command);
+  if (refusal) {
+    console.log(`🔒 [${currentCount}] ${message.author.tag} lacks permission for ${command}`);
+    const refusalMessage = await message.reply({ embeds: [refusal] }).catch(console.error);
+    if (refusalMessage && mongoose.connection.readyState === 1) {
+      const deleteAt = new Date(Date.now() + REFUSAL_LIFETIME_MS);
+      await scheduleJob("deleteMessage", { channelId: refusalMessage.channelId, messageId: refusalMessage.id }, deleteAt)
+        .catch(error => console.warn(`⚠️ [${currentCount}] Couldn't schedule the refusal's removal:`, error.message));
+    }
+    return refusalMessage;
+  }
+
   switch (command) {
     case "commands":
       console.log(`📋 [${currentCount}] Processing !commands`);
@@ -726,11 +2384,11 @@ client.on("messageCreate", async (message) => {
         .setColor(0x0099FF)
         .setTitle('🤖 Booq Club Commands')
         .addFields(
-          { name: '📚 Reading', value: '`!reading` - Current book\n`!currentpoint` - Reading goal\n`!pastreads` - Past books list\n`!random` - Pick random future option' },
-          { name: '📅 Meetings & Polls', value: '`!nextmeeting` - Meeting info\n`!setmeeting` - Schedule meeting\n`!clearevent` - Cancel meeting\n`!poll <title>` - Create a rating poll\n`!endpoll` - Manually end active poll' },
-          { name: '⚙️ Utility', value: '`!setpoint` - Set reading goal\n`!clearpoint` - Clear reading goal\n`!link` - Spreadsheet link\n`!timehelp` - Date format help\n`!status` - Bot health' }
+          { name: '📚 Reading', value: '`!reading` - Current book\n`!currentpoint` - Reading goal\n`!progress [how far]` - Reading progress board\n`!spoilers <chapter>` - Discussion thread for a chapter\n`!pastreads [filters]` - Past books archive\n`!search <query>` - Find a book by title or author\n`!random` - Pick random future option\n`!nominate <title>` - Nominate the next book\n`!election` - Ranked-choice vote for the next book' },
+          { name: '📅 Meetings & Polls', value: '`!nextmeeting` - Meeting info\n`!meetings` - Upcoming and past meetings\n`!attendance` - Who came to meetings\n`!setmeeting` - Schedule meeting\n`!recurring` - Recurring meetings\n`!reminders` - Meeting reminders\n`!clearevent [id]` - Cancel meeting\n`!poll <title>` - Create a rating poll\n`!endpoll` - Manually end active poll\n`!linkpoll <book>` - Write poll rating to the sheet' },
+          { name: '⚙️ Utility', value: '`!setpoint` - Set reading goal\n`!clearpoint` - Clear reading goal\n`!undopoint` - Undo last reading goal change\n`!pointhistory` - Reading goal history\n`!schedule` - Reading schedule & checkpoints\n`!link` - Spreadsheet link\n`!refreshsheet` - Re-fetch the spreadsheet\n`!sheetcheck` - Find problems in the spreadsheet\n`!timehelp` - Date format help\n`!timezone` - Your timezone\n`!status` - Bot health\n`!permissions` - Who can run club commands\n`!config` - Server settings' }
         )
-        .setFooter({ text: 'Booq Club Bot' });
+        .setFooter({ text: 'Booq Club Bot • Every command also works as a /slash command' });
       
       message.reply({ embeds: [helpEmbed] });
       console.log(`🏁 [${currentCount}] !commands completed`);
@@ -749,16 +2407,24 @@ client.on("messageCreate", async (message) => {
       ).toFixed(2);
 
       const dbStatus = mongoose.connection.readyState === 1 ? "✅ Connected" : "❌ Disconnected";
+      const sheetCache = getSheetCacheStatus(getSheetSource(message.guild?.id));
+      const sheetModes = { live: "🟢 Live", cached: "🟡 Degraded - serving a cached copy", sample: "🔴 Degraded - serving sample data" };
+      let sheetStatus = sheetModes[sheetCache.source] || "⚪ Not loaded yet";
+      sheetStatus += sheetCache.fetchedAt
+        ? `\nLast fetched <t:${Math.floor(sheetCache.fetchedAt.getTime() / 1000)}:R>`
+        : "\nNever fetched successfully";
+      if (sheetCache.lastError) sheetStatus += `\n⚠️ Last error: ${sheetCache.lastError}`;
 
       const statusEmbed = new EmbedBuilder()
-        .setColor(0x00FF00)
+        .setColor(sheetCache.degraded ? 0xFFA500 : 0x00FF00)
         .setTitle('📊 Bot Status')
         .addFields(
           { name: '🆔 Instance ID', value: `\`${SESSION_ID}\``, inline: true },
           { name: '✅ Online Time\n', value: `${hours}h ${minutes}m ${seconds}s`, inline: true },
           { name: '📊 Servers', value: `${client.guilds.cache.size}`, inline: true },
           { name: '💾 Memory', value: `${memoryUsage} MB`, inline: true },
-          { name: '🍃 Database', value: dbStatus, inline: true }
+          { name: '🍃 Database', value: dbStatus, inline: true },
+          { name: '📗 Spreadsheet', value: sheetStatus }
         )
         .setTimestamp();
 
@@ -766,22 +2432,107 @@ client.on("messageCreate", async (message) => {
       console.log(`🏁 [${currentCount}] !status completed`);
       break;
 
+    case "refreshsheet":
+      console.log(`🔄 [${currentCount}] Processing !refreshsheet`);
+      try {
+        const before = getSheetCacheStatus(getSheetSource(message.guild?.id));
+        const previousCopy = before.fetchedAt
+          ? `<t:${Math.floor(before.fetchedAt.getTime() / 1000)}:R> (${before.rowCount} rows)`
+          : 'None';
+
+        try {
+          const values = await refreshSheetData(getSheetSource(message.guild?.id));
+          console.log(`✅ [${currentCount}] Sheet refreshed (${values.length} rows)`);
+          const refreshEmbed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('🔄 Spreadsheet Refreshed')
+            .addFields(
+              { name: 'Rows', value: `${values.length}`, inline: true },
+              { name: 'Previous Copy', value: previousCopy, inline: true },
+              { name: 'Cache Lifetime', value: formatOffset(before.ttlMs / 60000), inline: true }
+            )
+            .setTimestamp();
+          message.reply({ embeds: [refreshEmbed] });
+        } catch (fetchError) {
+          console.warn(`⚠️ [${currentCount}] Sheet refresh failed: ${fetchError.message}`);
+          const after = getSheetCacheStatus(getSheetSource(message.guild?.id));
+          const failedEmbed = new EmbedBuilder()
+            .setColor(0xFFA500)
+            .setTitle('⚠️ Spreadsheet Refresh Failed')
+            .setDescription(`Google Sheets didn't respond properly: ${fetchError.message}`)
+            .addFields(
+              { name: 'Serving', value: before.fetchedAt ? `Cached copy from ${previousCopy}` : 'Sample data', inline: true },
+              { name: 'Next Automatic Try', value: `<t:${Math.floor(after.retryAt.getTime() / 1000)}:R>`, inline: true }
+            );
+          message.reply({ embeds: [failedEmbed] });
+        }
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error refreshing sheet:`, error);
+        message.reply("❌ Sorry, there was an error refreshing the spreadsheet.");
+      }
+      console.log(`🏁 [${currentCount}] !refreshsheet completed`);
+      break;
+
+    case "sheetcheck":
+      console.log(`🩺 [${currentCount}] Processing !sheetcheck`);
+      try {
+        const report = await checkSheet(getSheetSource(message.guild?.id));
+        const issueCount = report.missingRequired.length + report.unknownStatuses.length + report.problems.length;
+
+        const columnList = Object.entries(report.columns)
+          .map(([field, index]) => `**${field}** → "${report.header[index]}" (column ${columnLetter(index)})`)
+          .join("\n");
+        const missingList = [
+          ...report.missingRequired.map(field => `❌ **${field}** (required)`),
+          ...report.missingOptional.map(field => `⚠️ ${field}`)
+        ].join("\n");
+        let problemList = report.problems.slice(0, 15).map(problem => `Row ${problem.row}: ${problem.problem}`).join("\n");
+        if (report.problems.length > 15) problemList += `\n...and ${report.problems.length - 15} more`;
+
+        const checkEmbed = new EmbedBuilder()
+          .setColor(report.missingRequired.length > 0 ? 0xFF0000 : issueCount > 0 ? 0xFFA500 : 0x00FF00)
+          .setTitle('🩺 Spreadsheet Check')
+          .setDescription(issueCount === 0
+            ? `✅ All ${report.bookCount} books look good.`
+            : `Found ${issueCount} issue(s) across ${report.bookCount} books.`)
+          .addFields({ name: 'Columns', value: columnList || 'No recognised columns' });
+
+        if (missingList) checkEmbed.addFields({ name: 'Missing Columns', value: missingList });
+        if (report.unknownStatuses.length > 0) {
+          checkEmbed.addFields({
+            name: 'Unknown Statuses',
+            value: `${report.unknownStatuses.map(status => `"${status}"`).join(", ")}\nKnown statuses: ${Object.values(BOOK_STATUS).join(", ")}`.slice(0, 1024)
+          });
+        }
+        if (problemList) checkEmbed.addFields({ name: 'Rows to Fix', value: problemList.slice(0, 1024) });
+        addSheetWarning(checkEmbed, report);
+
+        console.log(`✅ [${currentCount}] Sheet check found ${issueCount} issue(s)`);
+        message.reply({ embeds: [checkEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error checking sheet:`, error);
+        message.reply("❌ Sorry, there was an error checking the spreadsheet.");
+      }
+      console.log(`🏁 [${currentCount}] !sheetcheck completed`);
+      break;
+
     case "reading":
       console.log(`📚 [${currentCount}] Processing !reading command`);
       try {
-        const data = await getSheetData();
-        const books = data.slice(1);
-        const current = books.find(
-          (row) => row[2]?.toLowerCase() === "currently reading",
+        const sheet = await getBookData(getSheetSource(message.guild?.id));
+        const current = sheet.books.find(
+          (book) => book.status === BOOK_STATUS.READING,
         );
         if (current) {
           console.log(`✅ [${currentCount}] Sending reading response`);
           const readingEmbed = new EmbedBuilder()
             .setColor(0x0099FF)
             .setTitle('📖 Currently Reading')
-            .setDescription(`**${current[0]}**\n*by ${current[1]}*`);
+            .setDescription(`**${current.title}**\n*by ${current.author}*`);
+          if (sheet.source !== 'sample') await addBookMetadata(readingEmbed, current);
           
-          if (current[3]) readingEmbed.addFields({ name: '🔗 Link', value: `[View Book](${current[3]})` });
+          if (current.link) readingEmbed.addFields({ name: '🔗 Link', value: `[View Book](${current.link})` });
+          addSheetWarning(readingEmbed, sheet);
           
           message.reply({ embeds: [readingEmbed] });
         } else {
@@ -795,13 +2546,59 @@ client.on("messageCreate", async (message) => {
       console.log(`🏁 [${currentCount}] !reading command completed`);
       break;
 
+    case "search":
+      console.log(`🔎 [${currentCount}] Processing !search`);
+      try {
+        const searchQuery = args.join(" ").trim();
+        if (!searchQuery) {
+          const searchHelpEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🔎 Search the Book List')
+            .setDescription('**Usage:** `!search <title or author>`\nTypos and accents are fine.')
+            .addFields({ name: 'Examples', value: '`!search murakami`\n`!search left hand of darknes`\n`!search garcia marquez`' });
+          return message.reply({ embeds: [searchHelpEmbed] });
+        }
+
+        const sheet = await getBookData(getSheetSource(message.guild?.id));
+        const results = searchBooks(sheet.books, searchQuery);
+        const matches = results.filter(result => result.score >= GOOD_MATCH);
+
+        const searchEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle(`🔎 Search: ${searchQuery}`.slice(0, 256));
+
+        if (matches.length > 0) {
+          searchEmbed.addFields(matches.map(({ book }) => ({
+            name: book.title.slice(0, 256),
+            value: `*by ${book.author || "Unknown Author"}*\n${describeBookDetails(book)}`.slice(0, 1024),
+          })));
+        } else if (results[0]?.score >= SUGGESTION_MATCH) {
+          const suggestion = results[0].book;
+          searchEmbed
+            .setColor(0xFFA500)
+            .setDescription(`No close matches. Did you mean **${suggestion.title}** *by ${suggestion.author || "Unknown Author"}*?\n${describeBookDetails(suggestion)}`);
+        } else {
+          searchEmbed
+            .setColor(0xFF0000)
+            .setDescription("Nothing on the spreadsheet looks like that - we haven't read or listed it yet.");
+        }
+        addSheetWarning(searchEmbed, sheet);
+
+        console.log(`✅ [${currentCount}] Search for "${searchQuery}" found ${matches.length} match(es)`);
+        message.reply({ embeds: [searchEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error searching:`, error);
+        message.reply("Sorry, I could not search the book list.");
+      }
+      console.log(`🏁 [${currentCount}] !search completed`);
+      break;
+
     case "random":
       console.log(`🎲 [${currentCount}] Processing !random command`);
       try {
-        const data = await getSheetData();
-        const books = data.slice(1);
-        const topChoices = books.filter(
-          (row) => row[2]?.toLowerCase() === "top choice",
+        const sheet = await getBookData(getSheetSource(message.guild?.id));
+        const topChoices = sheet.books.filter(
+          (book) => book.status === BOOK_STATUS.TOP_CHOICE,
         );
         if (topChoices.length > 0) {
           const randomIndex = Math.floor(Math.random() * topChoices.length);
@@ -810,9 +2607,11 @@ client.on("messageCreate", async (message) => {
           const randomEmbed = new EmbedBuilder()
             .setColor(0x9B59B6) // Purple for random
             .setTitle('🎲 Random Pick')
-            .setDescription(`**${picked[0]}**\n*by ${picked[1]}*`);
+            .setDescription(`**${picked.title}**\n*by ${picked.author}*`);
+          if (sheet.source !== 'sample') await addBookMetadata(randomEmbed, picked);
 
-          if (picked[3]) randomEmbed.addFields({ name: '🔗 Link', value: `[View Book](${picked[3]})` });
+          if (picked.link) randomEmbed.addFields({ name: '🔗 Link', value: `[View Book](${picked.link})` });
+          addSheetWarning(randomEmbed, sheet);
 
           message.reply({ embeds: [randomEmbed] });
         } else {
@@ -829,56 +2628,33 @@ client.on("messageCreate", async (message) => {
     case "pastreads":
       console.log(`📚 [${currentCount}] Processing !pastreads command`);
       try {
-        const data = await getSheetData();
-        // Skip header row
-        const books = data.slice(1);
-        
-        // Filter for books marked as 'finished' or 'read' (handles both keywords)
-        const pastBooks = books.filter((row) => {
-          const status = row[2]?.toLowerCase().trim();
-          return status === "finished" || status === "read";
-        });
+        const queryText = args.join(" ");
+        const query = parseArchiveQuery(queryText);
+        if (query.errors.length > 0) {
+          const queryHelpEmbed = new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('❌ Past Reads Filters')
+            .setDescription(query.errors.join("\n"))
+            .addFields({ name: 'Examples', value: '`!pastreads author:le guin`\n`!pastreads rating>=4 sort:rating`\n`!pastreads unrated sort:title`\n`!pastreads dune`' });
+          return message.reply({ embeds: [queryHelpEmbed] });
+        }
 
-        if (pastBooks.length > 0) {
-          // Get the last 15 books to avoid hitting Discord's message length limit
-          const recentReads = pastBooks.slice(-10); // Limit to 10 for a cleaner embed look
-          
-          const embed = new EmbedBuilder()
-            .setColor(0x0099FF) // Blue color
-            .setTitle('📚 Past Reads & Ratings')
-            .setDescription("Here are the books we've finished recently:")
-            .setFooter({ text: 'Booq Club Archive' })
-            .setTimestamp();
+        const pageView = await buildPastReadsPage(message.guild.id, queryText, 0);
+        if (!pageView) {
+          console.log(`❌ [${currentCount}] No past reads found`);
+          return message.reply("No past reads found in the spreadsheet!");
+        }
 
-          const list = recentReads.map((book, index) => {
-            const title = String(book[0] || "Unknown Title").trim();
-            const author = String(book[1] || "Unknown Author").trim();
-            const link = book[3];
-            // Rating is expected in the 5th column (index 4)
-            const rating = book[4];
-            
-            let entry = `**${index + 1}. ${title}** • *by ${author}*`;
-            if (rating) entry += ` • ⭐ **${rating}/5**`;
-            if (link) entry += ` •[ View Book](${link})`;
-            
-            return entry;
-          }).join("\n\n");
-
-          embed.addFields({ name: 'Recent Books', value: list });
-
-          const spreadsheetLink = "https://docs.google.com/spreadsheets/d/1TRraVAkBbpZHz0oLLe0TRkx9i8F4OwAUMkP4gm74nYs/edit"; //spreadsheet link
-          const folderLink = "https://drive.google.com/drive/u/0/folders/1YAyccVd4uYvrLheVSahAn8sXLwwov_Io"; // discussions folder link
-
-          embed.addFields({ 
-            name: '📂 Resources', 
-            value: `📊 [Spreadsheet](${spreadsheetLink})\n📓 [Book Notes](${folderLink})`
-          });
+        console.log(`✅ [${currentCount}] Sending past reads response (${pageView.pageCount} page(s))`);
+        const reply = await message.reply({ embeds: pageView.embeds, components: pageView.components });
 
-          console.log(`✅ [${currentCount}] Sending past reads response`);
-          message.reply({ embeds: [embed] });
-        } else {
-          console.log(`❌ [${currentCount}] No past reads found`);
-          message.reply("No past reads found in the spreadsheet!");
+        // Remember the query and page so the buttons work on this message later (and after a restart)
+        if (pageView.components.length > 0 && reply) {
+          try {
+            await ArchiveView.create({ _id: reply.id, guildId: message.guild.id, query: queryText, page: 0 });
+          } catch (saveError) {
+            console.warn(`⚠️ [${currentCount}] Couldn't save the past reads view - its buttons won't work:`, saveError.message);
+          }
         }
       } catch (error) {
         console.error(`💥 [${currentCount}] Error in pastreads:`, error);
@@ -889,19 +2665,21 @@ client.on("messageCreate", async (message) => {
 
     case "nextmeeting":
       console.log(`📅 [${currentCount}] Processing !nextmeeting`);
-      if (meetingInfo.isoDate) {
-        const formattedDate = formatMeetingDate(meetingInfo.isoDate);
+      const [nextMeeting, ...laterMeetings] = getUpcomingMeetings(guildId);
+      if (nextMeeting) {
+        const formattedDate = formatMeetingDate(nextMeeting.isoDate);
         
         const meetingEmbed = new EmbedBuilder()
           .setColor(0xF1C40F) // Gold/Yellow
           .setTitle('📅 Next Meeting')
-          .setDescription(`**${formattedDate}**`);
+          .setDescription(`**${formattedDate}**`)
+          .setFooter({ text: `Meeting #${nextMeeting.number} • !meetings lists every meeting` });
         
-        if (meetingInfo.eventId) {
+        if (nextMeeting.eventId) {
           try {
             const guild = message.guild;
             const event = await guild.scheduledEvents.fetch(
-              meetingInfo.eventId,
+              nextMeeting.eventId,
             );
             meetingEmbed.addFields({ name: '🔗 Discord Event', value: event.url });
           } catch (error) {
@@ -909,15 +2687,30 @@ client.on("messageCreate", async (message) => {
           }
         }
 
+        try {
+          await syncEventInterest(message.guild, nextMeeting);
+          const rsvps = await getMeetingRsvps(guildId, nextMeeting.isoDate);
+          const headcount = rsvps.going.length + rsvps.maybe.length;
+          meetingEmbed.addFields({
+            name: `🙋 Headcount: ${headcount}${rsvps.maybe.length > 0 ? ` (${rsvps.maybe.length} maybe)` : ""}`,
+            value: Object.entries(RSVP_STATUSES)
+              .map(([status, { label, emoji }]) => `${emoji} **${label}:** ${rsvps[status].map(userId => `<@${userId}>`).join(", ") || "nobody yet"}`)
+              .join("\n")
+              .slice(0, 1024),
+          });
+        } catch (error) {
+          console.error(`⚠️ [${currentCount}] Couldn't load RSVPs:`, error);
+        }
+
+        if (laterMeetings.length > 0) {
+          meetingEmbed.addFields({
+            name: '🗓️ Also Booked',
+            value: laterMeetings.slice(0, 5).map(meeting => `\`#${meeting.number}\` ${formatMeetingDate(meeting.isoDate)}`).join("\n"),
+          });
+        }
+
         console.log(`✅ [${currentCount}] Sending meeting info`);
-        message.reply({ embeds: [meetingEmbed] });
-      } else if (meetingInfo.date) {
-        console.log(`✅ [${currentCount}] Sending fallback meeting info`);
-        const fallbackEmbed = new EmbedBuilder()
-          .setColor(0xF1C40F)
-          .setTitle('📅 Next Meeting')
-          .setDescription(`${meetingInfo.date}${meetingInfo.time ? ` at ${meetingInfo.time}` : ""} (UK time)`);
-        message.reply({ embeds: [fallbackEmbed] });
+        message.reply({ embeds: [meetingEmbed], components: DateTime.fromISO(nextMeeting.isoDate) > DateTime.now() ? [buildRsvpRow(nextMeeting.isoDate)] : [] });
       } else {
         console.log(`❌ [${currentCount}] No meeting scheduled`);
         message.reply(
@@ -927,6 +2720,101 @@ client.on("messageCreate", async (message) => {
       console.log(`🏁 [${currentCount}] !nextmeeting completed`);
       break;
 
+    case "meetings":
+      console.log(`🗓️ [${currentCount}] Processing !meetings`);
+      try {
+        const upcomingLines = getUpcomingMeetings(guildId).map(describeMeeting);
+        const pastMeetings = mongoose.connection.readyState === 1
+          ? await Meeting.find({ guildId, status: { $ne: "scheduled" } }).sort({ isoDate: -1 }).limit(10).lean()
+          : [];
+
+        const meetingsEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle('🗓️ Meetings')
+          .addFields(
+            { name: `📅 Upcoming (${upcomingLines.length})`, value: upcomingLines.join("\n").slice(0, 1024) || "Nothing booked - use `!setmeeting <date> <time>`" },
+            { name: '📚 Past', value: pastMeetings.map(describeMeeting).join("\n").slice(0, 1024) || "No past meetings yet" }
+          )
+          .setFooter({ text: 'Cancel one with !clearevent <id> • 🔁 = recurring series' });
+
+        console.log(`✅ [${currentCount}] Showing ${upcomingLines.length} upcoming and ${pastMeetings.length} past meeting(s)`);
+        message.reply({ embeds: [meetingsEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in meetings:`, error);
+        message.reply("❌ Sorry, I could not load the meetings.");
+      }
+      console.log(`🏁 [${currentCount}] !meetings completed`);
+      break;
+
+    case "attendance":
+      console.log(`🎧 [${currentCount}] Processing !attendance`);
+      try {
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ Attendance isn't available right now - the database is not connected.");
+        }
+
+        const records = (await MeetingAttendance.find({ guildId }).lean()).map(record => {
+          const inChannel = record.sessions.some(session => !session.leftAt);
+          return { ...record, inChannel, minutes: inChannel ? countAttendanceMinutes(record.sessions, record.meetingIsoDate) : record.totalMinutes };
+        });
+        const attended = records.filter(record => record.inChannel || record.minutes >= ATTENDANCE_MIN_MINUTES);
+
+        if (attended.length === 0) {
+          const voiceChannelId = getMeetingVoiceChannelId(guildId, getNextMeeting(guildId));
+          return message.reply(`No attendance recorded yet - it's tracked in ${voiceChannelId ? `<#${voiceChannelId}>` : "the meeting's voice channel"} while each meeting is on.`);
+        }
+
+        const byMeeting = new Map();
+        for (const record of attended) {
+          byMeeting.set(record.meetingIsoDate, [...(byMeeting.get(record.meetingIsoDate) || []), record]);
+        }
+        const meetingDates = [...byMeeting.keys()].sort((a, b) => DateTime.fromISO(b) - DateTime.fromISO(a));
+
+        // The latest meeting in detail, compared with who said they'd come
+        const latestDate = meetingDates[0];
+        const latest = byMeeting.get(latestDate).sort((a, b) => b.minutes - a.minutes);
+        const latestRsvps = await getMeetingRsvps(guildId, latestDate);
+        const noShows = latestRsvps.going.filter(userId => !latest.some(record => record.userId === userId));
+        const latestLines = latest.map(record => `<@${record.userId}> - ${record.minutes} min${record.inChannel ? " 🎧" : ""}`);
+        if (latestRsvps.going.length > 0) {
+          latestLines.push(`\n*${latestRsvps.going.length - noShows.length} of ${latestRsvps.going.length} who said they were going came*`);
+        }
+
+        const recentLines = meetingDates.slice(0, 8).map(isoDate => {
+          const meetingRecords = byMeeting.get(isoDate);
+          const averageMinutes = Math.round(meetingRecords.reduce((sum, record) => sum + record.minutes, 0) / meetingRecords.length);
+          return `${formatMeetingDate(isoDate)}: **${meetingRecords.length}** attended • avg ${averageMinutes} min`;
+        });
+
+        const byMember = new Map();
+        for (const record of attended) {
+          const totals = byMember.get(record.userId) || { meetings: 0, minutes: 0 };
+          byMember.set(record.userId, { meetings: totals.meetings + 1, minutes: totals.minutes + record.minutes });
+        }
+        const leaderboard = [...byMember.entries()]
+          .sort((a, b) => b[1].meetings - a[1].meetings || b[1].minutes - a[1].minutes)
+          .slice(0, 10)
+          .map(([userId, totals], i) => `${i + 1}. <@${userId}> - ${totals.meetings} meeting(s), ${(totals.minutes / 60).toFixed(1)} h`);
+
+        const attendanceEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle('🎧 Meeting Attendance')
+          .addFields(
+            { name: `📅 Latest Meeting (${latest.length} attended)`, value: `${formatMeetingDate(latestDate)}\n${latestLines.join("\n")}`.slice(0, 1024) },
+            { name: '📊 Recent Meetings', value: recentLines.join("\n").slice(0, 1024) },
+            { name: '🏆 All Time', value: leaderboard.join("\n").slice(0, 1024) }
+          )
+          .setFooter({ text: `${meetingDates.length} meeting(s) tracked • average ${(attended.length / meetingDates.length).toFixed(1)} per meeting • ${ATTENDANCE_MIN_MINUTES}+ minutes in the voice channel counts` });
+
+        console.log(`✅ [${currentCount}] Showing attendance for ${meetingDates.length} meeting(s)`);
+        message.reply({ embeds: [attendanceEmbed], allowedMentions: { parse: [] } });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in attendance:`, error);
+        message.reply("❌ Sorry, I could not load the attendance.");
+      }
+      console.log(`🏁 [${currentCount}] !attendance completed`);
+      break;
+
     case "setmeeting":
       console.log(`📅 [${currentCount}] Processing !setmeeting`);
       if (args.length === 0) {
@@ -936,31 +2824,20 @@ client.on("messageCreate", async (message) => {
           .setTitle('📅 How to Set a Meeting')
           .setDescription('**Usage:** `!setmeeting <date> [time]`')
           .addFields(
-              { name: 'Examples (UK Time)', value: '`!setmeeting December 15 7pm`\n`!setmeeting next friday`\n`!setmeeting 2024-12-15 19:00`' },
-              { name: 'Note', value: 'If no time is specified, defaults to 7:00 PM UK time' }
+              { name: 'Examples', value: '`!setmeeting December 15 7pm`\n`!setmeeting next friday`\n`!setmeeting tomorrow 8pm`\n`!setmeeting first sunday of march 4pm`\n`!setmeeting 2024-12-15 19:00`' },
+              { name: 'Note', value: 'Dates are read in your timezone (UK time unless you set one with `!timezone`). If no time is specified, defaults to 7:00 PM. You will be asked to confirm the date before the event is created.' }
           );
-        return;
+        return message.reply({ embeds: [setMeetingHelpEmbed] });
       }
 
-      let dateStr, timeStr;
-      if (args.length >= 2) {
-        const lastArg = args[args.length - 1].toLowerCase();
-        if (
-          lastArg.includes("pm") ||
-          lastArg.includes("am") ||
-          lastArg.match(/\d{1,2}:\d{2}/)
-        ) {
-          timeStr = args.pop();
-        }
-        dateStr = args.join(" ");
-      } else {
-        dateStr = args[0];
-      }
+      const { dateStr, timeStr } = splitDateAndTime(args);
 
       console.log(`   Date: ${dateStr}, Time: ${timeStr}`);
 
       try {
-        const parsedDate = parseMeetingDateTime(dateStr, timeStr);
+        // Read the date in the organiser's own timezone
+        const inputZone = await getUserTimezone(message.author.id);
+        const parsedDate = parseMeetingDateTime(dateStr, timeStr, inputZone);
 
         if (!parsedDate.isValid) {
           console.log(`❌ [${currentCount}] Invalid date format`);
@@ -974,45 +2851,26 @@ client.on("messageCreate", async (message) => {
           return message.reply("❌ Please set a meeting time in the future.");
         }
 
-        meetingInfo.date = parsedDate.toLocaleString(DateTime.DATE_FULL);
-        meetingInfo.time = parsedDate.toLocaleString(DateTime.TIME_SIMPLE);
-        meetingInfo.isoDate = parsedDate.toISO();
-        meetingInfo.channelId = message.channel.id;
-        meetingInfo.reminderSent = false;
-
-        let eventUrl = null;
-        try {
-          
-            if (message.guild) {
-              const event = await createBookClubEvent(
-                message.guild,
-                parsedDate,
-                `Booq Club Discussion - ${parsedDate.toLocaleString(DateTime.DATETIME_FULL)}`,
-                process.env.VOICE_CHANNEL_ID || null 
-              );
-            meetingInfo.eventId = event.id;
-            eventUrl = event.url;
-          }
-        } catch (error) {
-          console.error(`⚠️ [${currentCount}] Failed to create event:`, error);
-        }
-
-        storage.meetingInfo = meetingInfo;
-        await saveStorage(storage);
-        scheduleMeetingReminder();
-
-        console.log(`✅ [${currentCount}] Meeting set successfully`);
-        
-        const successEmbed = new EmbedBuilder()
-            .setColor(0x00FF00)
-            .setTitle('✅ Meeting Set!')
-            .addFields({ name: 'When', value: formatMeetingDate(meetingInfo.isoDate) });
-        
-        if (eventUrl) {
-            successEmbed.addFields({ name: '📅 Discord Event', value: eventUrl });
-        }
+        // Ask the organiser to confirm how the date was understood before creating the Discord event.
+        // The start time lives in the button ID, so confirming still works after a restart.
+        const confirmEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('📅 Confirm Meeting')
+            .setDescription(`Is this right?\n\n**${formatMeetingDate(parsedDate.toISO())}**`)
+            .setFooter({ text: `You typed: ${[dateStr, timeStr].filter(Boolean).join(" ")} (read as ${inputZone} time)` });
+        const confirmRow = new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`meetingconfirm_${message.author.id}_${parsedDate.toMillis()}`)
+            .setLabel('Create meeting')
+            .setStyle(ButtonStyle.Success),
+          new ButtonBuilder()
+            .setCustomId(`meetingcancel_${message.author.id}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+        );
 
-        message.reply({ embeds: [successEmbed] });
+        console.log(`✅ [${currentCount}] Asking to confirm meeting at ${parsedDate.toISO()}`);
+        message.reply({ embeds: [confirmEmbed], components: [confirmRow] });
       } catch (error) {
         console.error(`💥 [${currentCount}] Error setting meeting:`, error);
         message.reply("❌ Sorry, there was an error setting the meeting.");
@@ -1023,68 +2881,303 @@ client.on("messageCreate", async (message) => {
     case "clearevent":
       console.log(`🗑️ [${currentCount}] Processing !clearevent`);
       try {
-        let responseMessage = "";
-        
-        if (meetingInfo.eventId) {
-          try {
-            const guild = message.guild;
-            if (guild) {
-              const event = await guild.scheduledEvents.fetch(meetingInfo.eventId);
-              await event.delete();
-              responseMessage += "✅ **Discord event deleted**\n";
-              console.log(`✅ [${currentCount}] Discord event deleted`);
-            }
-          } catch (error) {
-            console.log(`⚠️ [${currentCount}] Event not found:`, error.message);
-            responseMessage += "⚠️ *Discord event was not found (may have been deleted already)*\n";
+        const upcomingMeetings = getUpcomingMeetings(guildId);
+        const meetingNumber = args[0] ? Number(args[0].replace(/^#/, "")) : null;
+        if (upcomingMeetings.length === 0) {
+          return message.reply("No meeting is booked - there's nothing to cancel.");
+        }
+        if (args[0] && !Number.isInteger(meetingNumber)) {
+          return message.reply("❌ Usage: `!clearevent [id]` - the ID is the meeting number `!meetings` shows, e.g. `!clearevent 4`");
+        }
+
+        let meeting = upcomingMeetings[0];
+        if (meetingNumber) {
+          meeting = upcomingMeetings.find(upcoming => upcoming.number === meetingNumber);
+          if (!meeting) {
+            return message.reply(`❌ Meeting #${meetingNumber} isn't coming up - \`!meetings\` lists the ones that can be cancelled.`);
           }
+        } else if (upcomingMeetings.length > 1) {
+          // Don't guess which one to cancel
+          const whichEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🗑️ Which Meeting?')
+            .setDescription(`Several meetings are booked - cancel one with \`!clearevent <id>\`:\n${upcomingMeetings.map(describeMeeting).join("\n")}`.slice(0, 4096));
+          return message.reply({ embeds: [whichEmbed] });
         }
-        
-        const oldMeetingInfo = { ...meetingInfo };
-        
-        meetingInfo = {
-          date: null,
-          time: null,
-          eventId: null,
-          isoDate: null,
-          channelId: null,
-          reminderSent: false,
-        };
-        
-        storage.meetingInfo = meetingInfo;
-        await saveStorage(storage);
-        scheduleMeetingReminder();  // clear scheduled reminder if it's running
-        
-        responseMessage += "✅ **Meeting data cleared!**\n";
-        
-        if (oldMeetingInfo.date) {
-          responseMessage += `*Cleared: ${oldMeetingInfo.date}${oldMeetingInfo.time ? ` at ${oldMeetingInfo.time}` : ''}*`;
+
+        let responseMessage = "";
+        const eventDeleted = await cancelMeeting(message.guild, meeting);
+        if (meeting.eventId) {
+          responseMessage += eventDeleted
+            ? "✅ **Discord event deleted**\n"
+            : "⚠️ *Discord event was not found (may have been deleted already)*\n";
+        }
+        responseMessage += `✅ **Meeting #${meeting.number} cancelled!**\n*${formatMeetingDate(meeting.isoDate)}*\n`;
+
+        // Cancelling a meeting from a recurring series skips that occurrence, and books the next one if none is left
+        const nextStart = await skipSeriesMeeting(meeting);
+        if (nextStart) {
+          responseMessage += `\n🔁 Next meeting in the series: **${formatMeetingDate(nextStart.toISO())}**\n*Use \`!recurring stop\` to end the series.*`;
         }
         
-        console.log(`✅ [${currentCount}] Meeting data cleared`);
+        console.log(`✅ [${currentCount}] Meeting #${meeting.number} cancelled`);
         
         const clearEmbed = new EmbedBuilder()
             .setColor(0xE74C3C) // Red/Orange
-            .setTitle('🗑️ Meeting Cleared')
+            .setTitle('🗑️ Meeting Cancelled')
             .setDescription(responseMessage);
         
         message.reply({ embeds: [clearEmbed] });
         
       } catch (error) {
         console.error(`💥 [${currentCount}] Error clearing event:`, error);
-        message.reply("❌ Sorry, there was an error clearing the event data.");
+        message.reply("❌ Sorry, there was an error cancelling the meeting.");
       }
       console.log(`🏁 [${currentCount}] !clearevent completed`);
       break;
 
+    case "recurring":
+      console.log(`🔁 [${currentCount}] Processing !recurring`);
+      try {
+        const action = (args[0] || "view").toLowerCase();
+        const rule = storage.recurrence;
+        // The booked series meeting (if any) for an occurrence date of the series
+        const findBookedOccurrence = occurrenceDate => getUpcomingMeetings(guildId).find(meeting =>
+          meeting.series && findOccurrenceDate(rule, DateTime.fromISO(meeting.isoDate), DEFAULT_TIMEZONE) === occurrenceDate);
+
+        // Cancel a booked series meeting and book whatever the series now says comes next
+        const rebookSeries = async (meeting) => {
+          await cancelMeeting(message.guild, meeting);
+          return scheduleNextRecurringMeeting(guildId);
+        };
+
+        if (action === "view") {
+          if (!rule) {
+            return message.reply("No recurring meeting set. Use `!recurring set <rule>`, e.g. `!recurring set first sunday of every month 4pm`.");
+          }
+          const upcoming = getUpcomingOccurrences(rule, DateTime.now(), DEFAULT_TIMEZONE, 3)
+            .map(occurrence => `• ${formatMeetingDate(occurrence.start.toISO())}`);
+          const recurringEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🔁 Recurring Meeting')
+            .setDescription(`**${describeRecurrence(rule)}** (UK time)`)
+            .addFields({ name: 'Upcoming', value: upcoming.join("\n") || "None" });
+          if (rule.skips.length > 0) {
+            recurringEmbed.addFields({ name: 'Skipped', value: rule.skips.join(", ") });
+          }
+          if (rule.overrides.length > 0) {
+            recurringEmbed.addFields({
+              name: 'Moved',
+              value: rule.overrides.map(override => `${override.date} → ${formatMeetingDate(override.isoDate)}`).join("\n"),
+            });
+          }
+          return message.reply({ embeds: [recurringEmbed] });
+        }
+
+        if (action === "set") {
+          const newRule = parseRecurrence(args.slice(1).join(" "), DEFAULT_TIMEZONE);
+          if (!newRule) {
+            const recurringHelpEmbed = new EmbedBuilder()
+              .setColor(0x0099FF)
+              .setTitle('🔁 How to Set a Recurring Meeting')
+              .setDescription('**Usage:** `!recurring set <rule>`')
+              .addFields(
+                { name: 'Examples (UK Time)', value: '`!recurring set weekly friday 7pm`\n`!recurring set every 2 weeks on sunday 16:00`\n`!recurring set first sunday of every month 4pm`\n`!recurring set last saturday 3:30pm`' },
+                { name: 'Other actions', value: '`!recurring skip <date>`\n`!recurring move <date> to <new date> [time]`\n`!recurring stop`' }
+              );
+            return message.reply({ embeds: [recurringHelpEmbed] });
+          }
+
+          newRule.channelId = message.channel.id;
+          storage.recurrence = newRule;
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Recurring rule set:`, newRule);
+
+          // Book the first meeting straight away unless the series already has one coming up
+          const hasUpcomingMeeting = getUpcomingMeetings(guildId).some(meeting => meeting.series);
+          if (hasUpcomingMeeting) {
+            scheduleRecurrenceCheck(guildId);
+          } else {
+            await scheduleNextRecurringMeeting(guildId);
+          }
+
+          const setRecurringEmbed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Recurring Meeting Set!')
+            .setDescription(`**${describeRecurrence(newRule)}** (UK time)`)
+            .addFields({
+              name: 'Next meeting',
+              value: formatMeetingDate(getUpcomingMeetings(guildId).find(meeting => meeting.series)?.isoDate) || "Could not book the next meeting",
+            })
+            .setFooter({ text: 'Each meeting is booked automatically once the previous one ends.' });
+          return message.reply({ embeds: [setRecurringEmbed] });
+        }
+
+        if (!rule) {
+          return message.reply("❌ No recurring meeting set. Use `!recurring set <rule>` first.");
+        }
+
+        if (action === "stop") {
+          storage.recurrence = null;
+          await saveStorage(guildId);
+          scheduleRecurrenceCheck(guildId); // Cancels the pending job
+          console.log(`✅ [${currentCount}] Recurring meeting stopped`);
+          return message.reply("✅ Recurring meeting stopped. The meeting that's already booked has been kept - use `!clearevent` to cancel it.");
+        }
+
+        if (action === "skip") {
+          // The date is read in the member's timezone, like !setmeeting
+          const userZone = await getUserTimezone(message.author.id);
+          const day = parseMeetingDateTime(args.slice(1).join(" "), undefined, userZone);
+          const occurrenceDate = day.isValid ? findOccurrenceDate(rule, day, DEFAULT_TIMEZONE, userZone) : null;
+          if (!occurrenceDate) {
+            return message.reply("❌ There's no meeting in the series on that date. Usage: `!recurring skip <date>`");
+          }
+
+          if (!rule.skips.includes(occurrenceDate)) rule.skips.push(occurrenceDate);
+          rule.overrides = rule.overrides.filter(override => override.date !== occurrenceDate);
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Skipped occurrence ${occurrenceDate}`);
+
+          let skipMessage = `✅ Skipped the meeting on **${occurrenceDate}**.`;
+          const bookedMeeting = findBookedOccurrence(occurrenceDate);
+          if (bookedMeeting) {
+            const nextStart = await rebookSeries(bookedMeeting);
+            if (nextStart) skipMessage += `\n🔁 Next meeting: **${formatMeetingDate(nextStart.toISO())}**`;
+          }
+          return message.reply(skipMessage);
+        }
+
+        if (action === "move") {
+          const rest = args.slice(1).join(" ");
+          const [fromText, toText] = rest.split(/ to /i);
+          const userZone = await getUserTimezone(message.author.id);
+          const day = fromText ? parseMeetingDateTime(fromText, undefined, userZone) : DateTime.invalid("missing");
+          const occurrenceDate = day.isValid ? findOccurrenceDate(rule, day, DEFAULT_TIMEZONE, userZone) : null;
+          const { dateStr, timeStr } = splitDateAndTime((toText || "").trim().split(/ +/));
+          const newStart = toText ? parseMeetingDateTime(dateStr, timeStr, userZone) : DateTime.invalid("missing");
+
+          if (!occurrenceDate || !newStart.isValid) {
+            return message.reply("❌ Usage: `!recurring move <date> to <new date> [time]`, e.g. `!recurring move Dec 7 to Dec 8 6pm`");
+          }
+          if (newStart <= DateTime.now()) {
+            return message.reply("❌ Please move the meeting to a time in the future.");
+          }
+
+          rule.overrides = rule.overrides.filter(override => override.date !== occurrenceDate);
+          rule.overrides.push({ date: occurrenceDate, isoDate: newStart.toISO() });
+          rule.skips = rule.skips.filter(skip => skip !== occurrenceDate);
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Moved occurrence ${occurrenceDate} to ${newStart.toISO()}`);
+
+          const bookedMeeting = findBookedOccurrence(occurrenceDate);
+          if (bookedMeeting) await rebookSeries(bookedMeeting);
+          return message.reply(`✅ The **${occurrenceDate}** meeting moved to **${formatMeetingDate(newStart.toISO())}**.`);
+        }
+
+        message.reply("❌ Unknown action. Use `view`, `set`, `skip`, `move` or `stop`.");
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error updating recurring meeting:`, error);
+        message.reply("❌ Sorry, there was an error updating the recurring meeting.");
+      }
+      console.log(`🏁 [${currentCount}] !recurring completed`);
+      break;
+
+    case "reminders":
+      console.log(`⏰ [${currentCount}] Processing !reminders`);
+      try {
+        const action = (args[0] || "view").toLowerCase();
+
+        if (action === "view") {
+          const stages = [...getReminderStages(guildId)].sort((a, b) => b.offsetMinutes - a.offsetMinutes);
+          const remindersEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('⏰ Meeting Reminders')
+            .setDescription(stages.length > 0 ? `${stages.length} reminder(s) before each meeting${Array.isArray(storage.reminders) ? "" : " *(default)*"}` : "Reminders are turned off.")
+            .setFooter({ text: 'Placeholders: {date} {timeUntil} {readingPoint}' });
+          for (const stage of stages.slice(0, 20)) {
+            remindersEmbed.addFields({
+              name: `${formatOffset(stage.offsetMinutes)} before (${describeMention(stage.mention)})`,
+              value: (stage.template || DEFAULT_TEMPLATE).slice(0, 1024),
+            });
+          }
+          return message.reply({ embeds: [remindersEmbed], allowedMentions: { parse: [] } });
+        }
+
+        if (action === "add") {
+          const offsetMinutes = parseOffset(args[1]);
+          if (!offsetMinutes) {
+            const remindersHelpEmbed = new EmbedBuilder()
+              .setColor(0x0099FF)
+              .setTitle('⏰ How to Add a Reminder')
+              .setDescription('**Usage:** `!reminders add <offset> [@everyone | @here | @role | rsvp | none] [message]`\n`rsvp` pings only the members who said they\'re going or maybe.')
+              .addFields(
+                { name: 'Examples', value: '`!reminders add 1w none Meeting in {timeUntil}! We are reading to {readingPoint}.`\n`!reminders add 2d @everyone`\n`!reminders add 1h @here Starting soon!`\n`!reminders add 3h rsvp See you soon!`' },
+                { name: 'Offsets', value: '`1w`, `2d`, `12h`, `30m`, or combined like `1d12h`' },
+                { name: 'Placeholders', value: '`{date}`, `{timeUntil}`, `{readingPoint}` - use `\\n` for a new line' }
+              );
+            return message.reply({ embeds: [remindersHelpEmbed] });
+          }
+
+          let mention = parseMention(args[2]);
+          let templateArgs = args.slice(3);
+          if (!mention) {
+            // No mention given - the rest is the message
+            mention = "none";
+            templateArgs = args.slice(2);
+          }
+
+          const stage = { offsetMinutes, mention, template: templateArgs.join(" ") || DEFAULT_TEMPLATE };
+          storage.reminders = [
+            ...getReminderStages(guildId).filter(existing => existing.offsetMinutes !== offsetMinutes),
+            stage,
+          ];
+          await saveStorage(guildId);
+          scheduleMeetingReminders(guildId);
+          console.log(`✅ [${currentCount}] Reminder added:`, stage);
+          return message.reply({
+            content: `✅ Added a reminder **${formatOffset(offsetMinutes)}** before each meeting (${describeMention(mention)}).`,
+            allowedMentions: { parse: [] },
+          });
+        }
+
+        if (action === "remove") {
+          const offsetMinutes = parseOffset(args[1]);
+          const stages = getReminderStages(guildId);
+          if (!offsetMinutes || !stages.some(stage => stage.offsetMinutes === offsetMinutes)) {
+            return message.reply("❌ No reminder with that offset. Use `!reminders` to see them, then e.g. `!reminders remove 2d`.");
+          }
+          storage.reminders = stages.filter(stage => stage.offsetMinutes !== offsetMinutes);
+          await saveStorage(guildId);
+          scheduleMeetingReminders(guildId);
+          console.log(`✅ [${currentCount}] Reminder removed: ${offsetMinutes} minutes`);
+          return message.reply(`✅ Removed the **${formatOffset(offsetMinutes)}** reminder.`);
+        }
+
+        if (action === "reset") {
+          storage.reminders = undefined;
+          await saveStorage(guildId);
+          scheduleMeetingReminders(guildId);
+          console.log(`✅ [${currentCount}] Reminders reset to default`);
+          return message.reply("✅ Reminders reset to the default 2-day @everyone reminder.");
+        }
+
+        message.reply("❌ Unknown action. Use `view`, `add`, `remove` or `reset`.");
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error updating reminders:`, error);
+        message.reply("❌ Sorry, there was an error updating the reminders.");
+      }
+      console.log(`🏁 [${currentCount}] !reminders completed`);
+      break;
+
     case "currentpoint":
       console.log(`📖 [${currentCount}] Processing !currentpoint`);
-      if (currentPoint) {
+      if (storage.readingPoint) {
         console.log(`✅ [${currentCount}] Sending current point`);
         const pointEmbed = new EmbedBuilder()
             .setColor(0x0099FF)
             .setTitle('📖 Current Reading Point')
-            .setDescription(`**${currentPoint}**`);
+            .setDescription(`**${storage.readingPoint}**`);
         message.reply({ embeds: [pointEmbed] });
       } else {
         console.log(`❌ [${currentCount}] No reading point set`);
@@ -1104,19 +3197,17 @@ client.on("messageCreate", async (message) => {
             .setTitle('📝 How to Set Reading Point')
             .setDescription('**Usage:** `!setpoint <description>`')
             .addFields({ name: 'Examples', value: '`!setpoint Through Chapter 8`\n`!setpoint Page 150`' });
-        return;
+        return message.reply({ embeds: [setPointHelpEmbed] });
       }
 
       const newPoint = args.join(" ");
-      currentPoint = newPoint;
-      storage.readingPoint = newPoint;
-      await saveStorage(storage);
+      await setReadingPoint(guildId, newPoint, { changedBy: message.author.id, source: "setpoint", channelId: message.channel.id });
 
       console.log(`✅ [${currentCount}] Reading point updated: ${newPoint}`);
       const setPointEmbed = new EmbedBuilder()
             .setColor(0x00FF00)
             .setTitle('✅ Reading Point Updated')
-            .setDescription(`**Read until:** ${currentPoint}`);
+            .setDescription(`**Read until:** ${storage.readingPoint}`);
       message.reply({ embeds: [setPointEmbed] });
       console.log(`🏁 [${currentCount}] !setpoint completed`);
       break;
@@ -1124,10 +3215,8 @@ client.on("messageCreate", async (message) => {
     case "clearpoint":
       console.log(`🗑️ [${currentCount}] Processing !clearpoint`);
       
-      const previousPoint = currentPoint;
-      currentPoint = null;
-      storage.readingPoint = null;
-      await saveStorage(storage);
+      const previousPoint = storage.readingPoint;
+      await setReadingPoint(guildId, null, { changedBy: message.author.id, source: "clearpoint" });
 
       console.log(`✅ [${currentCount}] Reading point cleared`);
       const clearPointEmbed = new EmbedBuilder()
@@ -1138,13 +3227,396 @@ client.on("messageCreate", async (message) => {
       console.log(`🏁 [${currentCount}] !clearpoint completed`);
       break;
 
+    case "pointhistory":
+      console.log(`📜 [${currentCount}] Processing !pointhistory`);
+      try {
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ The reading point history isn't available right now - the database is not connected.");
+        }
+
+        const changes = await ReadingPointChange.find({ guildId }).sort({ createdAt: -1 }).limit(10).lean();
+        const historyEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle('📜 Reading Point History')
+          .setFooter({ text: 'Use !undopoint to go back to the previous reading point' });
+
+        if (changes.length === 0) {
+          historyEmbed.setDescription("No reading point changes recorded yet.");
+        } else {
+          const sourceLabels = { setpoint: "set", clearpoint: "cleared", schedule: "schedule", undo: "undo" };
+          historyEmbed.setDescription(changes.map(change => {
+            const who = change.changedBy ? `<@${change.changedBy}>` : "🗓️ schedule";
+            const point = change.point ? `**${change.point}**` : "*cleared*";
+            const book = change.bookTitle ? ` in *${change.bookTitle}*` : "";
+            const undone = change.undoneAt ? " ↩️ *undone*" : "";
+            return `<t:${Math.floor(change.createdAt.getTime() / 1000)}:d> ${point}${book} - ${who} (${sourceLabels[change.source] || change.source})${undone}`;
+          }).join("\n").slice(0, 4096));
+        }
+
+        const meetingsCovered = await getMeetingsCovered(guildId);
+        if (meetingsCovered.length > 0) {
+          historyEmbed.addFields({
+            name: '📅 Past Meetings',
+            value: meetingsCovered.map(({ isoDate, point }) => `${formatMeetingDate(isoDate)}: ${point ? `**${point}**` : "*no reading point*"}`).join("\n").slice(0, 1024),
+          });
+        }
+
+        console.log(`✅ [${currentCount}] Showing ${changes.length} reading point change(s)`);
+        message.reply({ embeds: [historyEmbed], allowedMentions: { parse: [] } });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in pointhistory:`, error);
+        message.reply("❌ Sorry, I could not load the reading point history.");
+      }
+      console.log(`🏁 [${currentCount}] !pointhistory completed`);
+      break;
+
+    case "undopoint":
+      console.log(`↩️ [${currentCount}] Processing !undopoint`);
+      try {
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ Reading point changes can't be undone right now - the database is not connected.");
+        }
+
+        // Undos stack: each one reverts the latest change that hasn't been undone yet
+        const lastChange = await ReadingPointChange.findOne({ guildId, source: { $ne: "undo" }, undoneAt: null }).sort({ createdAt: -1 });
+        if (!lastChange) {
+          return message.reply("There's no reading point change to undo.");
+        }
+
+        lastChange.undoneAt = new Date();
+        await lastChange.save();
+        await setReadingPoint(guildId, lastChange.previousPoint || null, { changedBy: message.author.id, source: "undo", channelId: message.channel.id });
+
+        console.log(`✅ [${currentCount}] Reading point restored to: ${storage.readingPoint}`);
+        const undoPointEmbed = new EmbedBuilder()
+          .setColor(0x00FF00)
+          .setTitle('↩️ Reading Point Restored')
+          .setDescription(storage.readingPoint ? `**Read until:** ${storage.readingPoint}` : "There's no reading point now - it was unset before that change.")
+          .setFooter({ text: `Undid: ${lastChange.point || "cleared"}`.slice(0, 2048) });
+        message.reply({ embeds: [undoPointEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in undopoint:`, error);
+        message.reply("❌ Sorry, there was an error undoing the reading point.");
+      }
+      console.log(`🏁 [${currentCount}] !undopoint completed`);
+      break;
+
+    case "spoilers":
+      console.log(`🧵 [${currentCount}] Processing !spoilers`);
+      try {
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ Discussion threads aren't available right now - the database is not connected.");
+        }
+
+        const sheet = await getBookData(getSheetSource(guildId));
+        const currentBook = sheet.books.find(book => book.status === BOOK_STATUS.READING);
+        if (!currentBook || sheet.source === 'sample') {
+          return message.reply(sheet.source === 'sample'
+            ? "❌ The spreadsheet couldn't be loaded, so I don't know which book we're reading. Try again later."
+            : "No book is currently being read!");
+        }
+
+        const threads = await CheckpointThread.find({ guildId, bookTitle: currentBook.title, archivedAt: null }).sort({ createdAt: 1 }).lean();
+        if (threads.length === 0) {
+          return message.reply(`There are no discussion threads for **${currentBook.title}** yet - one opens each time the reading point changes.`);
+        }
+
+        const spoilersArg = args.join(" ").trim();
+        const listThreads = (list) => list
+          .map(thread => `**${thread.point}** - <#${thread.threadId}>`)
+          .join("\n")
+          .slice(0, 4096);
+
+        if (!spoilersArg) {
+          const threadListEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`🧵 Discussion Threads: ${currentBook.title}`.slice(0, 256))
+            .setDescription(listThreads(threads))
+            .setFooter({ text: 'Use !spoilers <chapter> to find the thread for a chapter' });
+          return message.reply({ embeds: [threadListEmbed] });
+        }
+
+        // "7" on its own means chapter 7
+        const wanted = parseProgress(spoilersArg) || (/^\d+$/.test(spoilersArg) ? { kind: 'chapter', value: Number(spoilersArg) } : null);
+        if (!wanted) {
+          return message.reply("❌ Tell me a chapter, page or percentage, e.g. `!spoilers 7`, `!spoilers page 120` or `!spoilers 40%`.");
+        }
+
+        const pageCount = wanted.kind !== 'chapter' && threads.some(thread => thread.kind && thread.kind !== wanted.kind)
+          ? await getPageCount(currentBook)
+          : null;
+        const comparable = threads
+          .map(thread => ({ thread, comparison: compareProgress(thread.kind ? thread : null, wanted, pageCount) }))
+          .filter(({ comparison }) => comparison);
+        // The earliest checkpoint that reaches the wanted point is where it's discussed
+        const covering = comparable
+          .filter(({ comparison }) => comparison.difference >= 0)
+          .sort((a, b) => a.comparison.difference - b.comparison.difference)[0];
+
+        const spoilersEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle(`🧵 ${formatProgress(wanted)} of ${currentBook.title}`.slice(0, 256));
+        if (covering) {
+          spoilersEmbed.setDescription(`Discussed in <#${covering.thread.threadId}>.\n⚠️ That thread has spoilers up to **${covering.thread.point}**.`);
+        } else if (comparable.length > 0) {
+          const furthest = comparable.sort((a, b) => b.comparison.difference - a.comparison.difference)[0];
+          spoilersEmbed
+            .setColor(0xFFA500)
+            .setDescription(`The club hasn't reached ${formatProgress(wanted)} yet. The furthest thread is <#${furthest.thread.threadId}> (**${furthest.thread.point}**).`);
+        } else {
+          spoilersEmbed
+            .setColor(0xFFA500)
+            .setDescription(`I can't match ${formatProgress(wanted)} against these reading points - pick one yourself:\n${listThreads(threads)}`.slice(0, 4096));
+        }
+
+        console.log(`✅ [${currentCount}] Spoiler thread lookup for ${formatProgress(wanted)}: ${covering ? covering.thread.point : "none"}`);
+        message.reply({ embeds: [spoilersEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in spoilers:`, error);
+        message.reply("❌ Sorry, I could not find the discussion threads.");
+      }
+      console.log(`🏁 [${currentCount}] !spoilers completed`);
+      break;
+
+    case "progress":
+      console.log(`📈 [${currentCount}] Processing !progress`);
+      try {
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ Reading progress isn't available right now - the database is not connected.");
+        }
+
+        const progressArg = args.join(" ").trim();
+        const nudgeMatch = progressArg.match(/^nudges?\s*(on|off)?$/i);
+
+        if (nudgeMatch) {
+          if (!nudgeMatch[1]) {
+            const userSettings = await UserSettings.findById(message.author.id).lean();
+            const nudgeOn = (userSettings?.progressNudges || []).includes(guildId);
+            return message.reply(`🔔 Pre-meeting nudges are **${nudgeOn ? "on" : "off"}** for you here. Use \`!progress nudge ${nudgeOn ? "off" : "on"}\` to change that.`);
+          }
+
+          const nudgeOn = nudgeMatch[1].toLowerCase() === "on";
+          await UserSettings.findByIdAndUpdate(
+            message.author.id,
+            nudgeOn ? { $addToSet: { progressNudges: guildId } } : { $pull: { progressNudges: guildId } },
+            { upsert: true }
+          );
+          console.log(`✅ [${currentCount}] Progress nudges ${nudgeOn ? "enabled" : "disabled"} for ${message.author.tag}`);
+          return message.reply(nudgeOn
+            ? `🔔 If you're behind the reading point ${PROGRESS_NUDGE_MINUTES / 60} hours before a meeting, I'll send you a DM. Make sure DMs from server members are allowed.`
+            : "🔕 No more pre-meeting nudges.");
+        }
+
+        const sheet = await getBookData(getSheetSource(guildId));
+        const currentBook = sheet.books.find(book => book.status === BOOK_STATUS.READING);
+        if (!currentBook || sheet.source === 'sample') {
+          console.log(`❌ [${currentCount}] No current book for progress`);
+          return message.reply(sheet.source === 'sample'
+            ? "❌ The spreadsheet couldn't be loaded, so I don't know which book we're reading. Try again later."
+            : "No book is currently being read!");
+        }
+
+        const target = parseProgress(storage.readingPoint);
+
+        if (progressArg.toLowerCase() === "clear") {
+          await ReadingProgress.deleteOne({ guildId, userId: message.author.id, bookTitle: currentBook.title });
+          console.log(`✅ [${currentCount}] Progress cleared for ${message.author.tag}`);
+          return message.reply(`🗑️ Your progress in **${currentBook.title}** has been cleared.`);
+        }
+
+        if (progressArg) {
+          const progress = parseProgress(progressArg);
+          if (!progress) {
+            console.log(`❌ [${currentCount}] Couldn't read progress: ${progressArg}`);
+            const progressHelpEmbed = new EmbedBuilder()
+              .setColor(0x0099FF)
+              .setTitle('📈 How to Record Your Progress')
+              .setDescription('**Usage:** `!progress <how far you are>`\n`!progress` on its own shows everyone\'s progress.')
+              .addFields(
+                { name: 'Examples', value: '`!progress 45%`\n`!progress page 120`\n`!progress chapter 7`' },
+                { name: 'Other options', value: '`!progress clear` - Remove your progress\n`!progress nudge on` / `off` - DM me before meetings if I\'m behind' }
+              );
+            return message.reply({ embeds: [progressHelpEmbed] });
+          }
+
+          await ReadingProgress.findOneAndUpdate(
+            { guildId, userId: message.author.id, bookTitle: currentBook.title },
+            { kind: progress.kind, value: progress.value, updatedAt: new Date() },
+            { upsert: true }
+          );
+
+          const progressEmbed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Progress Saved')
+            .setDescription(`**${formatProgress(progress)}** in *${currentBook.title}*`);
+          if (target) {
+            const pageCount = progress.kind === target.kind ? null : await getPageCount(currentBook);
+            progressEmbed.addFields({
+              name: `📖 Reading point: ${storage.readingPoint}`.slice(0, 256),
+              value: describeComparison(compareProgress(progress, target, pageCount), target)
+            });
+          }
+
+          console.log(`✅ [${currentCount}] Progress for ${message.author.tag}: ${formatProgress(progress)}`);
+          return message.reply({ embeds: [progressEmbed] });
+        }
+
+        // No argument: the progress board for the current book
+        const entries = await ReadingProgress.find({ guildId, bookTitle: currentBook.title }).lean();
+        const pageCount = target && target.kind !== 'chapter' && entries.some(entry => entry.kind !== target.kind)
+          ? await getPageCount(currentBook)
+          : null;
+        const rows = entries
+          .map(entry => ({ entry, comparison: compareProgress(entry, target, pageCount) }))
+          // Furthest ahead first, then anyone who can't be compared with the reading point
+          .sort((a, b) => (b.comparison?.difference ?? -Infinity) - (a.comparison?.difference ?? -Infinity) || b.entry.value - a.entry.value);
+
+        const boardEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle(`📈 Reading Progress: ${currentBook.title}`.slice(0, 256))
+          .addFields({ name: '📖 Reading point', value: storage.readingPoint || 'Not set - organisers can set one with `!setpoint`' })
+          .setFooter({ text: 'Record yours with !progress 45%, page 120 or chapter 7' });
+
+        if (rows.length === 0) {
+          boardEmbed.setDescription("Nobody has recorded their progress yet.");
+        } else {
+          const lines = rows.map(({ entry, comparison }) =>
+            `<@${entry.userId}> - **${formatProgress(entry)}**${target ? ` ${describeComparison(comparison, target)}` : ''}`);
+          const caughtUp = rows.filter(({ comparison }) => comparison && comparison.difference >= 0).length;
+          // Embed descriptions stop at 4096 characters - leave room for the "…and N more" line
+          let shown = 0;
+          while (shown < lines.length && lines.slice(0, shown + 1).join("\n").length <= 4000) shown++;
+          boardEmbed.setDescription(lines.slice(0, shown).join("\n") + (shown < lines.length ? `\n…and ${lines.length - shown} more` : ""));
+          if (target) boardEmbed.addFields({ name: '✅ Caught up', value: `${caughtUp} of ${rows.length}`, inline: true });
+        }
+        addSheetWarning(boardEmbed, sheet);
+
+        console.log(`✅ [${currentCount}] Showing progress board with ${rows.length} member(s)`);
+        message.reply({ embeds: [boardEmbed], allowedMentions: { parse: [] } });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in progress:`, error);
+        message.reply("❌ Sorry, there was an error with reading progress.");
+      }
+      console.log(`🏁 [${currentCount}] !progress completed`);
+      break;
+
+    case "schedule":
+      console.log(`🗓️ [${currentCount}] Processing !schedule`);
+      try {
+        const scheduleAction = (args[0] || "view").toLowerCase();
+
+        if (scheduleAction === "view") {
+          if (!storage.readingSchedule) {
+            return message.reply("No reading schedule yet. Use `!schedule set <chapters or pages> ...` to make one.");
+          }
+          return message.reply({ embeds: [buildScheduleEmbed(storage.readingSchedule)] });
+        }
+
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ Reading schedules can't be used right now - the database is not connected.");
+        }
+
+        if (scheduleAction === "cancel") {
+          if (!storage.readingSchedule) return message.reply("There's no reading schedule to cancel.");
+
+          storage.readingSchedule = null;
+          await saveStorage(guildId);
+          await scheduleReadingCheckpoints(guildId);
+          console.log(`✅ [${currentCount}] Reading schedule cancelled`);
+          return message.reply(`🗑️ Reading schedule cancelled. The reading point stays at **${storage.readingPoint || "nothing"}**.`);
+        }
+
+        const spec = scheduleAction === "set" ? parseScheduleSpec(args.slice(1).join(" ")) : null;
+        if (!spec || !args[1] || spec.errors.length > 0) {
+          const scheduleHelpEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🗓️ How to Make a Reading Schedule')
+            .setDescription('**Usage:** `!schedule set <length> [from <date>] [meetings <n> | to <date> and <date>] [weekly]`\nThe book is spread evenly up to the last meeting, with a checkpoint at each meeting (and every week with `weekly`). The reading point moves on by itself at each checkpoint.')
+            .addFields(
+              { name: 'Examples', value: '`!schedule set 24 chapters`\n`!schedule set 320 pages from next monday meetings 2`\n`!schedule set 18 chapters to dec 15 and jan 12 weekly`\n`!schedule set pages` - page count from the book\'s details' },
+              { name: 'Other actions', value: '`!schedule` - Show the schedule\n`!schedule cancel` - Stop advancing the reading point' }
+            );
+          if (spec?.errors.length > 0) scheduleHelpEmbed.setColor(0xFF0000).addFields({ name: '❌ Problems', value: spec.errors.join("\n") });
+          return message.reply({ embeds: [scheduleHelpEmbed] });
+        }
+
+        const sheet = await getBookData(getSheetSource(guildId));
+        const currentBook = sheet.books.find(book => book.status === BOOK_STATUS.READING);
+        if (!currentBook || sheet.source === 'sample') {
+          return message.reply(sheet.source === 'sample'
+            ? "❌ The spreadsheet couldn't be loaded, so I don't know which book we're reading. Try again later."
+            : "❌ No book is currently being read - mark one as currently reading on the spreadsheet first.");
+        }
+
+        const count = spec.count || await getPageCount(currentBook);
+        if (!count) {
+          return message.reply(`❌ I couldn't find a page count for **${currentBook.title}** - give one, e.g. \`!schedule set 320 pages\`.`);
+        }
+
+        const zone = await getUserTimezone(message.author.id);
+        const start = spec.from ? parseMeetingDateTime(spec.from, null, zone) : DateTime.now();
+        if (!start.isValid) return message.reply(`❌ I couldn't read the start date \`${spec.from}\`. See \`!timehelp\`.`);
+
+        let meetingDates;
+        if (spec.to.length > 0) {
+          meetingDates = spec.to.map(text => ({ text, date: parseMeetingDateTime(text, null, zone) }));
+          const unreadable = meetingDates.filter(({ date }) => !date.isValid);
+          if (unreadable.length > 0) {
+            return message.reply(`❌ I couldn't read ${unreadable.map(({ text }) => `\`${text}\``).join(", ")}. See \`!timehelp\`.`);
+          }
+          meetingDates = meetingDates.map(({ date }) => date);
+        } else {
+          // The booked meetings, then the recurring series after them
+          const wanted = spec.meetings || 1;
+          meetingDates = getUpcomingMeetings(guildId)
+            .map(meeting => DateTime.fromISO(meeting.isoDate))
+            .filter(date => date > DateTime.now())
+            .slice(0, wanted);
+          if (meetingDates.length < wanted && storage.recurrence) {
+            const after = meetingDates[meetingDates.length - 1] || DateTime.now();
+            meetingDates.push(...getUpcomingOccurrences(storage.recurrence, after, DEFAULT_TIMEZONE, wanted - meetingDates.length).map(({ start }) => start));
+          }
+          if (meetingDates.length < wanted) {
+            return message.reply(meetingDates.length === 0
+              ? "❌ There's no upcoming meeting to schedule towards. Book one with `!setmeeting`, or give dates with `to <date>`."
+              : `❌ I only know of ${meetingDates.length} upcoming meeting(s). Give the dates with \`to <date> and <date>\` instead.`);
+          }
+        }
+
+        meetingDates = meetingDates.filter(date => date > start);
+        if (meetingDates.length === 0) return message.reply("❌ The meetings need to be after the start date.");
+
+        const checkpoints = buildCheckpoints({ count, unit: spec.unit, start, meetings: meetingDates, weekly: spec.weekly });
+        storage.readingSchedule = {
+          bookTitle: currentBook.title,
+          unit: spec.unit,
+          count,
+          channelId: message.channel.id,
+          createdBy: message.author.id,
+          createdAt: new Date().toISOString(),
+          checkpoints,
+        };
+        await saveStorage(guildId);
+        await scheduleReadingCheckpoints(guildId);
+
+        console.log(`✅ [${currentCount}] Reading schedule set: ${checkpoints.length} checkpoint(s) for "${currentBook.title}"`);
+        const scheduleEmbed = buildScheduleEmbed(storage.readingSchedule).setColor(0x00FF00);
+        addSheetWarning(scheduleEmbed, sheet);
+        message.reply({ embeds: [scheduleEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error in schedule:`, error);
+        message.reply("❌ Sorry, there was an error with the reading schedule.");
+      }
+      console.log(`🏁 [${currentCount}] !schedule completed`);
+      break;
+
     case "link":
       console.log(`🔗 [${currentCount}] Processing !link`);
       const linkEmbed = new EmbedBuilder()
             .setColor(0x0099FF)
             .setTitle('🔗 Booq Club Spreadsheet')
             .setDescription('Click the link below to view the book list.')
-            .addFields({ name: 'Link', value: 'https://docs.google.com/spreadsheets/d/1TRraVAkBbpZHz0oLLe0TRkx9i8F4OwAUMkP4gm74nYs/edit' });
+            .addFields({ name: 'Link', value: getSpreadsheetUrl(getSheetSource(message.guild?.id)) });
       message.reply({ embeds: [linkEmbed] });
       console.log(`🏁 [${currentCount}] !link completed`);
       break;
@@ -1154,16 +3626,60 @@ client.on("messageCreate", async (message) => {
       const timeHelpEmbed = new EmbedBuilder()
             .setColor(0x0099FF)
             .setTitle('⏰ Date & Time Formats')
-            .setDescription('All times are in **UK Time**.')
+            .setDescription('Times you type are read in **your timezone** - UK time unless you set one with `!timezone <zone>`. Meeting times are shown in your own local time.')
             .addFields(
-                { name: 'Dates', value: '• `December 15`\n• `15 Dec`\n• `2024-12-15`\n• `next friday`' },
-                { name: 'Times', value: '• `7pm`\n• `19:00`' },
+                { name: 'Dates', value: '• `December 15`\n• `15 Dec`\n• `2024-12-15`\n• `next friday` / `this saturday`\n• `tomorrow` / `tonight`\n• `in 2 weeks`\n• `first sunday of march`' },
+                { name: 'Times', value: '• `7pm`\n• `19:00`\n• `noon`' },
                 { name: 'Examples', value: '• `!setmeeting december 15 7pm`\n• `!setmeeting "15 december" "19:30"`' }
             );
       message.reply({ embeds: [timeHelpEmbed] });
       console.log(`🏁 [${currentCount}] !timehelp completed`);
       break;
 
+    case "timezone":
+      console.log(`🌍 [${currentCount}] Processing !timezone`);
+      try {
+        const zoneArg = args.join(" ").trim();
+
+        if (!zoneArg) {
+          const currentZone = await getUserTimezone(message.author.id);
+          const timezoneEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🌍 Your Timezone')
+            .setDescription(`**${currentZone}** - it's ${DateTime.now().setZone(currentZone).toFormat("h:mm a")} there.`)
+            .addFields({ name: 'Change', value: '`!timezone <zone>` with a name from the [tz database](https://en.wikipedia.org/wiki/List_of_tz_database_time_zones), e.g. `!timezone America/New_York`\n`!timezone reset` to go back to UK time' });
+          return message.reply({ embeds: [timezoneEmbed] });
+        }
+
+        if (mongoose.connection.readyState !== 1) {
+          return message.reply("❌ Timezones can't be saved right now - the database is not connected.");
+        }
+
+        if (zoneArg.toLowerCase() === "reset") {
+          await UserSettings.updateOne({ _id: message.author.id }, { $unset: { timezone: "" } });
+          userTimezones.set(message.author.id, DEFAULT_TIMEZONE);
+          console.log(`✅ [${currentCount}] Timezone reset for ${message.author.tag}`);
+          return message.reply(`✅ Your timezone is back to **${DEFAULT_TIMEZONE}**.`);
+        }
+
+        if (!IANAZone.isValidZone(zoneArg)) {
+          console.log(`❌ [${currentCount}] Unknown timezone: ${zoneArg}`);
+          return message.reply("❌ That isn't a timezone I know. Use a tz database name like `Europe/Paris` or `America/Chicago`.");
+        }
+
+        // Canonical spelling, e.g. "america/new_york" -> "America/New_York"
+        const normalisedZone = new Intl.DateTimeFormat("en-GB", { timeZone: zoneArg }).resolvedOptions().timeZone;
+        await UserSettings.findByIdAndUpdate(message.author.id, { timezone: normalisedZone }, { upsert: true });
+        userTimezones.set(message.author.id, normalisedZone);
+        console.log(`✅ [${currentCount}] Timezone for ${message.author.tag} set to ${normalisedZone}`);
+        message.reply(`✅ Your timezone is now **${normalisedZone}**. Dates you type in \`!setmeeting\` will be read in that zone.`);
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error setting timezone:`, error);
+        message.reply("❌ Sorry, there was an error saving your timezone.");
+      }
+      console.log(`🏁 [${currentCount}] !timezone completed`);
+      break;
+
     case "poll":
       console.log(`📊 [${currentCount}] Processing !poll`);
       if (args.length === 0) {
@@ -1224,8 +3740,7 @@ client.on("messageCreate", async (message) => {
         console.log(`✅ [${currentCount}] Poll created and saved to DB: ${pollTitle}`);
 
         // Schedule poll end
-        const timeRemaining = pollEndTime.getTime() - Date.now();
-        setTimeout(() => endPoll(newPoll.messageId), timeRemaining);
+        await scheduleJob("endPoll", { messageId: newPoll.messageId }, pollEndTime, { key: `poll:${newPoll.messageId}` });
 
         try {
           await pollMessage.pin();
@@ -1287,7 +3802,7 @@ client.on("messageCreate", async (message) => {
         await testPollEntry.save();
         
         // Schedule the immediate end
-        setTimeout(() => endPoll(testPollEntry.messageId), 60000);
+        await scheduleJob("endPoll", { messageId: testPollEntry.messageId }, testEndTime, { key: `poll:${testPollEntry.messageId}` });
         
         message.reply("🧪 Test poll started! It will end in 60 seconds.");
       } catch (error) {
@@ -1296,11 +3811,179 @@ client.on("messageCreate", async (message) => {
       }
       break;
 
+    case "nominate":
+      console.log(`🗳️ [${currentCount}] Processing !nominate`);
+      try {
+        const election = await findActiveElection(guildId);
+        if (!election) {
+          return message.reply("There's no election running. An organiser can start one with `!election start`.");
+        }
+
+        const query = args.join(" ").trim();
+        if (!query) {
+          const nominationsEmbed = new EmbedBuilder()
+            .setColor(0x9B59B6)
+            .setTitle('🗳️ Nominations')
+            .setDescription(election.nominations.map((nomination, i) => `${i + 1}. **${nomination.title}**${nomination.author ? ` *by ${nomination.author}*` : ""}`).join("\n") || "Nothing nominated yet.")
+            .setFooter({ text: election.status === "nominating" ? "Nominate with !nominate <title>" : "Nominations are closed - voting is open" });
+          return message.reply({ embeds: [nominationsEmbed] });
+        }
+
+        if (election.status !== "nominating") {
+          return message.reply("❌ Nominations are closed - voting has already started.");
+        }
+
+        // Only books on the sheet's shortlist can be nominated
+        const { books, source } = await getBookData(getSheetSource(message.guild?.id));
+        if (source === 'sample') {
+          return message.reply("⚠️ The spreadsheet can't be loaded right now, so nominations can't be checked. Please try again later.");
+        }
+        const shortlist = books.filter(book => book.status === BOOK_STATUS.FUTURE_OPTION || book.status === BOOK_STATUS.TOP_CHOICE);
+        const lowerQuery = query.toLowerCase();
+        const exact = shortlist.find(book => book.title.toLowerCase() === lowerQuery);
+        const partial = shortlist.filter(book => book.title.toLowerCase().includes(lowerQuery));
+        const picked = exact || (partial.length === 1 ? partial[0] : null);
+
+        if (!picked) {
+          const suggestions = partial.slice(0, 5).map(book => `• ${book.title}`).join("\n");
+          return message.reply(suggestions
+            ? `❓ Which one did you mean?\n${suggestions}`
+            : "❌ That book isn't a `future option` or `top choice` on the spreadsheet.");
+        }
+
+        const title = picked.title;
+        if (election.nominations.some(nomination => nomination.title.toLowerCase() === title.toLowerCase())) {
+          return message.reply(`**${title}** has already been nominated.`);
+        }
+        if (election.nominations.length >= 25) {
+          return message.reply("❌ This election already has the maximum of 25 nominations.");
+        }
+
+        election.nominations.push({ title, author: picked.author, nominatedBy: message.author.id });
+        await election.save();
+        console.log(`✅ [${currentCount}] ${message.author.tag} nominated ${title}`);
+        message.reply(`✅ Nominated **${title}**${picked.author ? ` *by ${picked.author}*` : ""}! (${election.nominations.length} nomination(s) so far)`);
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error nominating:`, error);
+        message.reply("❌ Sorry, there was an error recording your nomination.");
+      }
+      console.log(`🏁 [${currentCount}] !nominate completed`);
+      break;
+
+    case "election":
+      console.log(`🗳️ [${currentCount}] Processing !election`);
+      try {
+        const action = (args[0] || "status").toLowerCase();
+        const election = await findActiveElection(guildId);
+
+        if (action === "start") {
+          if (election) {
+            return message.reply("❌ An election is already running. Use `!election close` or `!election cancel` first.");
+          }
+          await Election.create({ guildId, channelId: message.channel.id });
+          console.log(`✅ [${currentCount}] Election started`);
+          const startEmbed = new EmbedBuilder()
+            .setColor(0x9B59B6)
+            .setTitle('🗳️ Nominations Are Open!')
+            .setDescription('Nominate a `future option` or `top choice` book from the spreadsheet with `!nominate <title>`.\n\nWhen everyone has nominated, an organiser opens voting with `!election open [days]`.');
+          return message.reply({ embeds: [startEmbed] });
+        }
+
+        if (!election) {
+          return message.reply("There's no election running. Start one with `!election start`.");
+        }
+
+        if (action === "open") {
+          if (election.status !== "nominating") {
+            return message.reply("❌ Voting is already open.");
+          }
+          if (election.nominations.length < 2) {
+            return message.reply("❌ An election needs at least 2 nominations before voting can open.");
+          }
+
+          const days = args[1] ? parseInt(args[1], 10) : 3;
+          if (!Number.isInteger(days) || days < 1 || days > 14) {
+            return message.reply("❌ Voting can last between 1 and 14 days, e.g. `!election open 3`.");
+          }
+
+          const endTime = DateTime.now().plus({ days }).toJSDate();
+          const votingEmbed = new EmbedBuilder()
+            .setColor(0x9B59B6)
+            .setTitle('🗳️ Vote for Our Next Book!')
+            .setDescription(`Rank the books in order of preference - your later choices count if your favourite is knocked out.\n\n${election.nominations.map((nomination, i) => `${i + 1}. **${nomination.title}**${nomination.author ? ` *by ${nomination.author}*` : ""}`).join("\n")}`)
+            .addFields({ name: 'Closes', value: `<t:${Math.floor(endTime.getTime() / 1000)}:F> (<t:${Math.floor(endTime.getTime() / 1000)}:R>)` })
+            .setTimestamp();
+          const voteRow = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`election_vote_${election._id}`)
+              .setLabel('Vote')
+              .setEmoji('🗳️')
+              .setStyle(ButtonStyle.Primary)
+          );
+
+          const channel = await client.channels.fetch(election.channelId);
+          const votingMessage = await channel.send({ embeds: [votingEmbed], components: [voteRow] });
+          election.status = "voting";
+          election.endTime = endTime;
+          election.messageId = votingMessage.id;
+          await election.save();
+          await scheduleJob("closeElection", { electionId: String(election._id) }, endTime, { key: `election:${election._id}` });
+          await votingMessage.pin().catch(pinError => console.warn(`⚠️ [${currentCount}] Failed to pin election message:`, pinError.message));
+
+          console.log(`✅ [${currentCount}] Election voting opened for ${days} day(s)`);
+          return message.reply(`✅ Voting is open for ${days} day${days === 1 ? "" : "s"}!`);
+        }
+
+        if (action === "close") {
+          if (election.status !== "voting") {
+            return message.reply("❌ Voting hasn't opened yet. Use `!election open` first, or `!election cancel`.");
+          }
+          await cancelJob(`election:${election._id}`);
+          if (!(await closeElection(election._id))) {
+            return message.reply("ℹ️ Voting has just closed - the results are posted in the election channel.");
+          }
+          console.log(`✅ [${currentCount}] Election closed manually`);
+          return message.reply("✅ Election closed.");
+        }
+
+        if (action === "cancel") {
+          election.status = "cancelled";
+          await election.save();
+          await cancelJob(`election:${election._id}`);
+          if (election.messageId) {
+            const channel = await client.channels.fetch(election.channelId).catch(() => null);
+            const votingMessage = await channel?.messages.fetch(election.messageId).catch(() => null);
+            await votingMessage?.edit({ components: [] }).catch(console.error);
+            await votingMessage?.unpin().catch(console.error);
+          }
+          console.log(`✅ [${currentCount}] Election cancelled`);
+          return message.reply("✅ Election cancelled.");
+        }
+
+        const statusEmbed = new EmbedBuilder()
+          .setColor(0x9B59B6)
+          .setTitle('🗳️ Current Election')
+          .addFields(
+            { name: 'Stage', value: election.status === "voting" ? "Voting" : "Nominations", inline: true },
+            { name: 'Nominations', value: String(election.nominations.length), inline: true },
+            { name: 'Ballots', value: String(election.ballots.size), inline: true }
+          );
+        if (election.endTime) {
+          statusEmbed.addFields({ name: 'Closes', value: `<t:${Math.floor(election.endTime.getTime() / 1000)}:F>` });
+        }
+        message.reply({ embeds: [statusEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error managing election:`, error);
+        message.reply("❌ Sorry, there was an error managing the election.");
+      }
+      console.log(`🏁 [${currentCount}] !election completed`);
+      break;
+
     case "endpoll":
       console.log(`🛑 [${currentCount}] Processing !endpoll`);
       try {
         // Find the most recent poll in this channel
-        const activePoll = await Poll.findOne({ channelId: message.channel.id }).sort({ _id: -1 });
+        const activePoll = await Poll.findOne({ channelId: message.channel.id, endedAt: null }).sort({ _id: -1 });
 
         if (!activePoll) {
           console.log(`❌ [${currentCount}] No active poll found in this channel`);
@@ -1308,6 +3991,7 @@ client.on("messageCreate", async (message) => {
         }
 
         // The math logic is inside this function already, so we just call it!
+        await cancelJob(`poll:${activePoll.messageId}`);
         await endPoll(activePoll.messageId); 
         message.reply(`✅ Poll "${activePoll.title}" has been manually ended.`);
       } catch (error) {
@@ -1317,16 +4001,673 @@ client.on("messageCreate", async (message) => {
       console.log(`🏁 [${currentCount}] !endpoll completed`);
       break;
 
+    case "linkpoll":
+      console.log(`🔗 [${currentCount}] Processing !linkpoll`);
+      try {
+        const linkModes = ["rating", "finish", "preview"];
+        const linkMode = linkModes.includes(args[args.length - 1]?.toLowerCase()) ? args.pop().toLowerCase() : "rating";
+        const bookQuery = args.join(" ").trim();
+
+        if (!bookQuery) {
+          const linkHelpEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🔗 Link a Poll to a Book')
+            .setDescription('Writes the latest rating poll in this channel into the book\'s **Rating** column once it has ended.\n\n**Usage:** `!linkpoll <book title> [rating | finish | preview]`')
+            .addFields(
+              { name: 'rating', value: 'Only write the average rating (default)' },
+              { name: 'finish', value: 'Also change the book\'s Status from *currently reading* to *finished*' },
+              { name: 'preview', value: 'Show what `finish` would write for an ended poll, without changing the sheet' },
+              { name: 'Example', value: '`!linkpoll The Left Hand of Darkness finish`' }
+            );
+          return message.reply({ embeds: [linkHelpEmbed] });
+        }
+
+        const poll = await Poll.findOne({ channelId: message.channel.id }).sort({ _id: -1 });
+        if (!poll) {
+          console.log(`❌ [${currentCount}] No poll found in this channel`);
+          return message.reply("❌ No rating poll found in this channel.");
+        }
+
+        // Use the spreadsheet's spelling of the title when it's there
+        const books = await getBooks(getSheetSource(message.guild.id));
+        const bookRow = books.find(book => book.title.toLowerCase() === bookQuery.toLowerCase());
+        const bookTitle = bookRow ? bookRow.title : bookQuery;
+
+        if (linkMode === "preview") {
+          if (!poll.endedAt) {
+            return message.reply(`ℹ️ Poll "${poll.title}" is still running - there's no average to preview yet.`);
+          }
+          if (poll.averageRating === null) {
+            return message.reply(`ℹ️ Poll "${poll.title}" ended without any votes, so there's nothing to write.`);
+          }
+          const previewEmbed = await writePollRatingToSheet({ ...poll.toObject(), bookTitle, markFinished: true }, { dryRun: true });
+          return message.reply({ embeds: [previewEmbed] });
+        }
+
+        poll.bookTitle = bookTitle;
+        poll.markFinished = linkMode === "finish";
+        await poll.save();
+        console.log(`✅ [${currentCount}] Linked poll "${poll.title}" to "${bookTitle}" (${linkMode})`);
+
+        if (!poll.endedAt) {
+          return message.reply(`✅ Poll "${poll.title}" is linked to **${bookTitle}**. Its average rating will be written to the spreadsheet when it ends${poll.markFinished ? ', and the book will be marked as finished' : ''}.`);
+        }
+        if (poll.averageRating === null) {
+          return message.reply(`ℹ️ Poll "${poll.title}" ended without any votes, so there's nothing to write.`);
+        }
+
+        const sheetEmbed = await writePollRatingToSheet(poll);
+        message.reply({ embeds: [sheetEmbed] });
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error linking poll:`, error);
+        message.reply("❌ Sorry, there was an error linking the poll.");
+      }
+      console.log(`🏁 [${currentCount}] !linkpoll completed`);
+      break;
+
+    case "permissions":
+      console.log(`🔒 [${currentCount}] Processing !permissions`);
+      try {
+        const action = (args[0] || "view").toLowerCase();
+
+        if (action === "view") {
+          const restricted = commandList
+            .filter(cmd => getCommandRule(guildId, cmd.name))
+            .map(cmd => {
+              const rule = getCommandRule(guildId, cmd.name);
+              return `\`${cmd.name}\` - ${describeCommandRule(rule)}${rule.isOverride ? "" : " *(default)*"}`;
+            });
+
+          const permissionsEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🔒 Command Permissions')
+            .setDescription(restricted.join("\n") || "Every command is open to everyone.")
+            .addFields({ name: 'Change', value: '`!permissions set <command> <@role | Permission | everyone>`\n`!permissions reset <command | all>`' })
+            .setFooter({ text: 'Server administrators can always run every command.' });
+          return message.reply({ embeds: [permissionsEmbed] });
+        }
+
+        const targetName = args[1]?.toLowerCase();
+
+        if (action === "reset") {
+          if (targetName === "all") {
+            storage.commandPermissions = {};
+          } else if (targetName && findCommand(targetName)) {
+            delete storage.commandPermissions[targetName];
+          } else {
+            return message.reply("❌ Usage: `!permissions reset <command | all>`");
+          }
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Permissions reset for ${targetName}`);
+          return message.reply(`✅ Permissions reset to default for **${targetName === "all" ? "all commands" : targetName}**.`);
+        }
+
+        if (action === "set") {
+          const ruleArg = args.slice(2).join(" ");
+          if (!targetName || !findCommand(targetName) || !ruleArg) {
+            return message.reply("❌ Usage: `!permissions set <command> <@role | Permission | everyone>`");
+          }
+
+          let rule;
+          const roleMatch = ruleArg.match(/^<@&(\d+)>$/) || ruleArg.match(/^(\d{15,20})$/);
+          const permissionName = Object.keys(PermissionFlagsBits).find(name => name.toLowerCase() === ruleArg.toLowerCase());
+          if (ruleArg.toLowerCase() === "everyone") {
+            rule = { everyone: true };
+          } else if (roleMatch && message.guild.roles.cache.has(roleMatch[1])) {
+            rule = { roleId: roleMatch[1] };
+          } else if (permissionName) {
+            rule = { permission: permissionName };
+          } else {
+            return message.reply("❌ That isn't a role in this server or a Discord permission name (e.g. `ManageEvents`).");
+          }
+
+          storage.commandPermissions[targetName] = rule;
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Permission for ${targetName} set to`, rule);
+          return message.reply({
+            content: `✅ \`${targetName}\` now requires: ${describeCommandRule(rule)}`,
+            allowedMentions: { parse: [] }, // Don't ping the role
+          });
+        }
+
+        message.reply("❌ Unknown action. Use `view`, `set` or `reset`.");
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error updating permissions:`, error);
+        message.reply("❌ Sorry, there was an error updating permissions.");
+      }
+      console.log(`🏁 [${currentCount}] !permissions completed`);
+      break;
+
+    case "config":
+      console.log(`⚙️ [${currentCount}] Processing !config`);
+      try {
+        const action = (args[0] || "view").toLowerCase();
+        const keyList = Object.keys(CONFIG_OPTIONS).map(key => `\`${key}\``).join(", ");
+        storage.config = storage.config || {};
+
+        if (action === "view") {
+          const configEmbed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('⚙️ Server Configuration')
+            .addFields(Object.entries(CONFIG_OPTIONS).map(([key, option]) => {
+              const own = storage.config[option.field];
+              const value = getConfigValue(guildId, key);
+              return {
+                name: `${option.label} (\`${key}\`)`,
+                value: value ? `${option.describe(value)}${own ? "" : " *(default)*"}` : `${option.unset} *(default)*`,
+              };
+            }))
+            .addFields({ name: 'Change', value: '`!config set <key> <value>`\n`!config reset <key | all>`' });
+          return message.reply({ embeds: [configEmbed] });
+        }
+
+        const key = args[1]?.toLowerCase();
+
+        if (action === "reset") {
+          if (key === "all") {
+            storage.config = {};
+          } else if (CONFIG_OPTIONS[key]) {
+            delete storage.config[CONFIG_OPTIONS[key].field];
+          } else {
+            return message.reply(`❌ Usage: \`!config reset <key | all>\` - keys are ${keyList}`);
+          }
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Config reset for ${key}`);
+          return message.reply(`✅ **${key === "all" ? "All settings" : CONFIG_OPTIONS[key].label}** reset to the default.`);
+        }
+
+        if (action === "set") {
+          const option = CONFIG_OPTIONS[key];
+          const valueArg = args.slice(2).join(" ").trim();
+          if (!option || !valueArg) {
+            return message.reply(`❌ Usage: \`!config set <key> <value>\` - keys are ${keyList}`);
+          }
+
+          const parsed = parseConfigValue(message.guild, key, valueArg);
+          if (parsed.error) return message.reply(`❌ ${parsed.error}`);
+
+          storage.config[option.field] = parsed.value;
+          await saveStorage(guildId);
+          console.log(`✅ [${currentCount}] Config ${key} set to ${parsed.value}`);
+
+          let reply = `✅ **${option.label}** is now ${option.describe(parsed.value)}`;
+          if (key === "sheet" || key === "tab") {
+            // Check the new sheet straight away rather than on the next book command
+            try {
+              const values = await refreshSheetData(getSheetSource(guildId));
+              reply += `\n📊 Loaded ${values.length} rows from it.`;
+            } catch (fetchError) {
+              reply += `\n⚠️ Couldn't load it yet (${fetchError.message}) - check it's shared publicly and the tab name is right.`;
+            }
+          }
+          return message.reply({ content: reply, allowedMentions: { parse: [] } });
+        }
+
+        message.reply("❌ Unknown action. Use `view`, `set` or `reset`.");
+      } catch (error) {
+        console.error(`💥 [${currentCount}] Error updating config:`, error);
+        message.reply("❌ Sorry, there was an error updating the configuration.");
+      }
+      console.log(`🏁 [${currentCount}] !config completed`);
+      break;
+
     default:
       console.log(`❓ [${currentCount}] Unknown command: ${command}`);
       break;
   }
+}
+
+// Build one page of the !pastreads archive: { embeds, components, page, pageCount }, or null when no book is finished.
+// Buttons are only added when there's more than one page and the view can be stored.
+async function buildPastReadsPage(guildId, queryText, page) {
+  const sheet = await getBookData(getSheetSource(guildId));
+  // "finished", "read" and the other finished spellings all map to BOOK_STATUS.FINISHED
+  const pastBooks = sheet.books.filter((book) => book.status === BOOK_STATUS.FINISHED);
+  if (pastBooks.length === 0) return null;
+
+  const query = parseArchiveQuery(queryText);
+  const matches = applyArchiveQuery(pastBooks, query);
+  const current = paginate(matches, page);
+  const unratedCount = pastBooks.filter(book => book.rating === null).length;
+
+  const list = current.items.map((book, index) => {
+    const author = book.author || "Unknown Author";
+    let entry = `**${current.offset + index + 1}. ${book.title}** • *by ${author}*`;
+    if (book.rating !== null) entry += ` • ⭐ **${book.rating}/5**`;
+    if (book.link) entry += ` • [View Book](${book.link})`;
+    return entry;
+  }).join("\n\n");
+
+  let summary = `**${matches.length}** of ${pastBooks.length} finished books • ${describeArchiveQuery(query)}`;
+  if (unratedCount > 0) summary += `\n📭 ${unratedCount} finished book(s) have no rating yet (\`!pastreads unrated\`)`;
+
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF) // Blue color
+    .setTitle('📚 Past Reads & Ratings')
+    .setDescription(`${summary}\n\n${list || "No past reads match those filters."}`.slice(0, 4096))
+    .setFooter({ text: `Page ${current.page + 1}/${current.pageCount} • Booq Club Archive` })
+    .setTimestamp();
+
+  embed.addFields({ 
+    name: '📂 Resources', 
+    value: `📊 [Spreadsheet](${getSpreadsheetUrl(getSheetSource(guildId))})\n📓 [Book Notes](${getConfigValue(guildId, 'notes')})`
+  });
+  addSheetWarning(embed, sheet);
+
+  const components = [];
+  if (current.pageCount > 1 && mongoose.connection.readyState === 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('pastreads_prev')
+        .setLabel('◀ Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current.page === 0),
+      new ButtonBuilder()
+        .setCustomId('pastreads_next')
+        .setLabel('Next ▶')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current.page >= current.pageCount - 1)
+    ));
+  }
+
+  return { embeds: [embed], components, page: current.page, pageCount: current.pageCount };
+}
+
+// Previous/Next on a !pastreads message. The page is re-read from the sheet so it's always current.
+async function handlePastReadsButton(interaction) {
+  try {
+    const view = await ArchiveView.findById(interaction.message.id);
+    if (!view) {
+      return interaction.reply({ content: 'This list has expired - run `!pastreads` again.', ephemeral: true });
+    }
+
+    await interaction.deferUpdate(); // The sheet fetch can take longer than Discord's 3 second window
+    const step = interaction.customId === 'pastreads_next' ? 1 : -1;
+    const pageView = await buildPastReadsPage(view.guildId, view.query, view.page + step);
+    if (!pageView) {
+      return interaction.editReply({ content: 'No past reads found in the spreadsheet!', embeds: [], components: [] });
+    }
+
+    view.page = pageView.page;
+    await view.save();
+    await interaction.editReply({ embeds: pageView.embeds, components: pageView.components });
+  } catch (error) {
+    console.error(`Error turning the past reads page for message ${interaction.message.id}:`, error);
+    const reply = { content: 'Sorry, I could not load that page.', ephemeral: true };
+    await (interaction.deferred || interaction.replied ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
+  }
+}
+
+// Handle the Create meeting / Cancel buttons from !setmeeting
+async function handleMeetingConfirmation(interaction) {
+  const [action, userId, startMillis] = interaction.customId.split('_');
+
+  if (interaction.user.id !== userId) {
+    return interaction.reply({ content: 'Only the person who ran `setmeeting` can confirm this meeting.', ephemeral: true });
+  }
+
+  if (action === 'meetingcancel') {
+    const cancelledEmbed = new EmbedBuilder()
+      .setColor(0xE74C3C)
+      .setTitle('✖️ Meeting Not Created')
+      .setDescription('Nothing was scheduled. Run `!setmeeting` again with a different date.');
+    return interaction.update({ embeds: [cancelledEmbed], components: [] });
+  }
+
+  const startTime = DateTime.fromMillis(Number(startMillis), { zone: DEFAULT_TIMEZONE });
+  if (!startTime.isValid || startTime <= DateTime.now()) {
+    return interaction.update({ content: '❌ That time has already passed. Run `!setmeeting` again.', embeds: [], components: [] });
+  }
+  const alreadyBooked = findMeetingByStart(interaction.guildId, startTime.toMillis());
+  if (alreadyBooked) {
+    return interaction.update({ content: `ℹ️ Meeting #${alreadyBooked.number} is already booked for ${formatMeetingDate(alreadyBooked.isoDate)}.`, embeds: [], components: [] });
+  }
+
+  try {
+    await interaction.deferUpdate();
+    const { meeting, event } = await scheduleMeeting(interaction.guild, startTime, interaction.channelId, { createdBy: interaction.user.id });
+    console.log(`✅ Meeting set successfully by ${interaction.user.tag} for ${startTime.toISO()}`);
+
+    const successEmbed = new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle('✅ Meeting Set!')
+      .addFields({ name: 'When', value: formatMeetingDate(startTime.toISO()) })
+      .setFooter({ text: `Meeting #${meeting.number} • Cancel it with !clearevent ${meeting.number}` });
+
+    if (event) {
+      successEmbed.addFields({ name: '📅 Discord Event', value: event.url });
+    }
+    setRsvpField(successEmbed, await getMeetingRsvps(interaction.guildId, meeting.isoDate));
+
+    const successMessage = await interaction.editReply({ embeds: [successEmbed], components: [buildRsvpRow(meeting.isoDate)] });
+    await addRsvpMessage(meeting, successMessage);
+
+    try {
+      const readingPoint = getGuildStorage(interaction.guildId).readingPoint;
+      const announcementEmbed = new EmbedBuilder()
+        .setColor(0xF1C40F)
+        .setTitle('📣 Book Club Meeting')
+        .setDescription(`**${formatMeetingDate(meeting.isoDate)}**\nLet us know if you can make it!`);
+      if (readingPoint) announcementEmbed.addFields({ name: '📖 Reading Point', value: readingPoint });
+      if (event) announcementEmbed.addFields({ name: '📅 Discord Event', value: event.url });
+      await postMeetingAnnouncement(meeting, interaction.channel, announcementEmbed);
+    } catch (error) {
+      // The meeting is set either way - the success message has RSVP buttons too
+      console.error(`⚠️ Failed to post the meeting announcement:`, error);
+    }
+  } catch (error) {
+    console.error(`💥 Error setting meeting for ${interaction.user.tag}:`, error);
+    await interaction.editReply({ content: '❌ Sorry, there was an error setting the meeting.', embeds: [], components: [] });
+  }
+}
+
+// Handle the Going / Maybe / Can't make it buttons on meeting messages
+async function handleRsvpButton(interaction) {
+  const [, status, startMillis] = interaction.customId.split('_');
+  const meeting = findMeetingByStart(interaction.guildId, Number(startMillis));
+
+  if (!RSVP_STATUSES[status] || !meeting) {
+    return interaction.reply({ content: 'This meeting is over, or has been moved or cancelled - check `!meetings`.', ephemeral: true });
+  }
+  if (mongoose.connection.readyState !== 1) {
+    return interaction.reply({ content: "❌ RSVPs can't be saved right now - the database is not connected.", ephemeral: true });
+  }
+
+  try {
+    await MeetingRsvp.findOneAndUpdate(
+      { guildId: interaction.guildId, meetingIsoDate: meeting.isoDate, userId: interaction.user.id },
+      { status, source: "button", updatedAt: new Date() },
+      { upsert: true }
+    );
+    console.log(`🙋 ${interaction.user.tag} RSVP'd ${status} for meeting #${meeting.number} (Guild: ${interaction.guildId})`);
+
+    const { label, emoji } = RSVP_STATUSES[status];
+    await interaction.reply({ content: `${emoji} You're down as **${label}** for ${formatMeetingDate(meeting.isoDate)}.`, ephemeral: true });
+    await refreshRsvpMessages(meeting);
+  } catch (error) {
+    console.error(`💥 Error saving RSVP for ${interaction.user.tag}:`, error);
+    if (!interaction.replied) {
+      await interaction.reply({ content: '❌ Sorry, there was an error saving your RSVP.', ephemeral: true });
+    }
+  }
+}
+
+// Interest in the meeting's Discord event counts as an RSVP
+async function handleEventInterest(event, user, interested) {
+  try {
+    const meeting = getUpcomingMeetings(event.guildId).find(upcoming => upcoming.eventId === event.id);
+    if (!meeting || mongoose.connection.readyState !== 1) return;
+
+    if (await recordEventInterest(meeting, user.id, interested)) {
+      console.log(`🙋 User ${user.id} ${interested ? "is interested in" : "is no longer interested in"} meeting #${meeting.number} (Guild: ${event.guildId})`);
+      await refreshRsvpMessages(meeting);
+    }
+  } catch (error) {
+    console.error(`❌ Error syncing event interest (Guild: ${event.guildId}):`, error);
+  }
+}
+
+client.on("guildScheduledEventUserAdd", (event, user) => handleEventInterest(event, user, true));
+client.on("guildScheduledEventUserRemove", (event, user) => handleEventInterest(event, user, false));
+
+// Where to tell members about changes made to a meeting's event in Discord
+async function fetchMeetingChannel(meeting) {
+  const channelId = getConfigValue(meeting.guildId, 'reminders') || meeting.channelId;
+  return channelId ? client.channels.fetch(channelId) : null;
+}
+
+// An organiser created a meeting event by hand in Discord - book it as a meeting (the event stays as it is)
+async function adoptMeetingEvent(guild, event) {
+  if (!isMeetingEventName(event.name) || event.creatorId === client.user.id) return null;
+  if (event.status !== GuildScheduledEventStatus.Scheduled || !event.scheduledStartAt) return null;
+  if (getUpcomingMeetings(guild.id).some(meeting => meeting.eventId === event.id)) return null;
+
+  const start = DateTime.fromJSDate(event.scheduledStartAt, { zone: DEFAULT_TIMEZONE });
+  if (start <= DateTime.now()) return null;
+  const alreadyBooked = findMeetingByStart(guild.id, start.toMillis());
+  if (alreadyBooked) {
+    console.log(`ℹ️ Event "${event.name}" is at the same time as meeting #${alreadyBooked.number} - not adopting it (Guild: ${guild.id})`);
+    return null;
+  }
+
+  const storage = getGuildStorage(guild.id);
+  const channelId = getConfigValue(guild.id, 'reminders') || storage.recurrence?.channelId || null;
+  const { meeting } = await scheduleMeeting(guild, start, channelId, { createdBy: event.creatorId || null, event });
+  console.log(`📥 Adopted event "${event.name}" (${event.id}) as meeting #${meeting.number} (Guild: ${guild.id})`);
+
+  try {
+    const channel = await fetchMeetingChannel(meeting);
+    if (channel) {
+      const readingPoint = storage.readingPoint;
+      const announcementEmbed = new EmbedBuilder()
+        .setColor(0xF1C40F)
+        .setTitle('📣 Book Club Meeting')
+        .setDescription(`**${formatMeetingDate(meeting.isoDate)}**\nLet us know if you can make it!`)
+        .addFields({ name: '📅 Discord Event', value: event.url })
+        .setFooter({ text: `Meeting #${meeting.number} • Added from the Discord event` });
+      if (readingPoint) announcementEmbed.spliceFields(0, 0, { name: '📖 Reading Point', value: readingPoint });
+      await postMeetingAnnouncement(meeting, channel, announcementEmbed);
+    }
+  } catch (error) {
+    console.error(`⚠️ Failed to announce adopted meeting #${meeting.number}:`, error);
+  }
+  return meeting;
+}
+
+// The meeting's event was moved in Discord - follow it. RSVPs move with the meeting, reminders still ahead at the
+// new time are sent again, and the RSVP buttons are replaced because they carry the old start time.
+async function moveMeeting(meeting, start, voiceChannelId) {
+  const { guildId } = meeting;
+  const previousIsoDate = meeting.isoDate;
+  const storage = getGuildStorage(guildId);
+
+  // A moved series meeting becomes an override, so the series doesn't book its old slot again
+  if (storage.recurrence && meeting.series) {
+    const occurrenceDate = findOccurrenceDate(storage.recurrence, DateTime.fromISO(previousIsoDate), DEFAULT_TIMEZONE);
+    if (occurrenceDate) {
+      storage.recurrence.overrides = storage.recurrence.overrides.filter(override => override.date !== occurrenceDate);
+      storage.recurrence.overrides.push({ date: occurrenceDate, isoDate: start.toISO() });
+      await saveStorage(guildId);
+    }
+  }
+
+  await retireRsvpMessages(meeting);
+  removeUpcomingMeeting(meeting);
+  meeting.isoDate = start.toISO();
+  meeting.voiceChannelId = voiceChannelId || meeting.voiceChannelId;
+  meeting.rsvpMessages = [];
+  meeting.remindersSent = (meeting.remindersSent || []).filter(stage => {
+    const offsetMinutes = stage === PROGRESS_NUDGE_STAGE ? PROGRESS_NUDGE_MINUTES : Number(stage);
+    return start.minus({ minutes: offsetMinutes }) <= DateTime.now();
+  });
+  addUpcomingMeeting(meeting);
+
+  if (mongoose.connection.readyState === 1) {
+    await MeetingRsvp.updateMany({ guildId, meetingIsoDate: previousIsoDate }, { meetingIsoDate: meeting.isoDate });
+  }
+  await saveMeeting(meeting);
+  await scheduleMeetingJobs(meeting);
+  await scheduleRecurrenceCheck(guildId);
+  console.log(`📅 Meeting #${meeting.number} moved from ${previousIsoDate} to ${meeting.isoDate} in Discord (Guild: ${guildId})`);
+
+  try {
+    const channel = await fetchMeetingChannel(meeting);
+    if (channel) {
+      const movedEmbed = new EmbedBuilder()
+        .setColor(0xF1C40F)
+        .setTitle('📅 Meeting Moved')
+        .setDescription(`~~${formatMeetingDate(previousIsoDate)}~~\n**${formatMeetingDate(meeting.isoDate)}**\nLet us know if you can still make it!`)
+        .setFooter({ text: `Meeting #${meeting.number} • Moved in the Discord event` });
+      await postMeetingAnnouncement(meeting, channel, movedEmbed);
+    }
+  } catch (error) {
+    console.error(`⚠️ Failed to announce that meeting #${meeting.number} moved:`, error);
+  }
+}
+
+// The meeting's event was deleted or cancelled in Discord - cancel the meeting too
+async function cancelMeetingFromEvent(guild, meeting) {
+  await cancelMeeting(guild, meeting, { deleteEvent: false });
+  const nextStart = await skipSeriesMeeting(meeting);
+
+  try {
+    const channel = await fetchMeetingChannel(meeting);
+    if (channel) {
+      let description = `The Discord event for **${formatMeetingDate(meeting.isoDate)}** was cancelled, so meeting #${meeting.number} is off.`;
+      if (nextStart) description += `\n\n🔁 Next meeting in the series: **${formatMeetingDate(nextStart.toISO())}**`;
+      const cancelledEmbed = new EmbedBuilder()
+        .setColor(0xE74C3C)
+        .setTitle('🗑️ Meeting Cancelled')
+        .setDescription(description);
+      await channel.send({ embeds: [cancelledEmbed] });
+    }
+  } catch (error) {
+    console.error(`⚠️ Failed to announce that meeting #${meeting.number} was cancelled:`, error);
+  }
+}
+
+// Bring the meeting for a Discord event in line with it. `event` is null when the event was deleted.
+// Once a meeting has started its event is left to Discord - the meeting's end job moves it into the history.
+async function syncMeetingEvent(guild, eventId, event) {
+  const meeting = getUpcomingMeetings(guild.id).find(upcoming => upcoming.eventId === eventId);
+  if (!meeting) {
+    if (event) await adoptMeetingEvent(guild, event);
+    return;
+  }
+  if (DateTime.fromISO(meeting.isoDate) <= DateTime.now()) return;
+
+  if (!event || event.status === GuildScheduledEventStatus.Canceled) {
+    console.log(`🗑️ Event ${eventId} for meeting #${meeting.number} was ${event ? "cancelled" : "deleted"} in Discord (Guild: ${guild.id})`);
+    await cancelMeetingFromEvent(guild, meeting);
+  } else if (event.scheduledStartTimestamp !== DateTime.fromISO(meeting.isoDate).toMillis()) {
+    await moveMeeting(meeting, DateTime.fromMillis(event.scheduledStartTimestamp, { zone: DEFAULT_TIMEZONE }), event.channelId);
+  } else if (event.channelId && event.channelId !== meeting.voiceChannelId) {
+    meeting.voiceChannelId = event.channelId;
+    await saveMeeting(meeting);
+    console.log(`🔊 Meeting #${meeting.number} moved to voice channel ${event.channelId} (Guild: ${guild.id})`);
+  }
+}
+
+// Catch up on meeting events edited, deleted or created while the bot was offline
+async function syncMeetingEvents(guild) {
+  try {
+    const events = await guild.scheduledEvents.fetch();
+    for (const meeting of [...getUpcomingMeetings(guild.id)]) {
+      if (meeting.eventId) await syncMeetingEvent(guild, meeting.eventId, events.get(meeting.eventId) || null);
+    }
+    for (const event of events.values()) await adoptMeetingEvent(guild, event);
+  } catch (error) {
+    console.error(`❌ Failed to sync meeting events for guild ${guild.id}:`, error);
+  }
+}
+
+// Changes organisers make to meeting events in the Discord UI
+async function handleMeetingEventChange(guildId, eventId, event) {
+  try {
+    const guild = client.guilds.cache.get(guildId);
+    if (guild) await syncMeetingEvent(guild, eventId, event);
+  } catch (error) {
+    console.error(`❌ Error syncing event ${eventId} (Guild: ${guildId}):`, error);
+  }
+}
+
+client.on("guildScheduledEventCreate", event => handleMeetingEventChange(event.guildId, event.id, event));
+client.on("guildScheduledEventUpdate", (oldEvent, newEvent) => handleMeetingEventChange(newEvent.guildId, newEvent.id, newEvent));
+client.on("guildScheduledEventDelete", event => handleMeetingEventChange(event.guildId, event.id, null));
+
+// Track joins and leaves in the meeting's voice channel while the meeting is on
+client.on("voiceStateUpdate", async (oldState, newState) => {
+  try {
+    const guildId = newState.guild.id;
+    const meeting = findMeetingInProgress(guildId);
+    if (!meeting || newState.member?.user.bot || mongoose.connection.readyState !== 1) return;
+
+    const voiceChannelId = getMeetingVoiceChannelId(guildId, meeting);
+    if (oldState.channelId === newState.channelId || !voiceChannelId) return;
+
+    if (newState.channelId === voiceChannelId) {
+      await recordVoiceJoin(guildId, meeting.isoDate, newState.id);
+      console.log(`🎧 ${newState.member?.user.tag || newState.id} joined the meeting (Guild: ${guildId})`);
+    } else if (oldState.channelId === voiceChannelId) {
+      await recordVoiceLeave(guildId, meeting.isoDate, newState.id);
+      console.log(`🎧 ${newState.member?.user.tag || newState.id} left the meeting (Guild: ${guildId})`);
+    }
+  } catch (error) {
+    console.error("❌ Error tracking voice attendance:", error);
+  }
 });
 
-// INTERACTION HANDLER FOR POLL BUTTONS
+// Handle the election Vote button and the ranked ballot select menus
+async function handleElectionInteraction(interaction) {
+  const [, kind, electionId, rankText] = interaction.customId.split('_');
+
+  try {
+    const election = await Election.findById(electionId);
+    if (!election || election.status !== "voting") {
+      return interaction.reply({ content: 'This election is no longer open.', ephemeral: true });
+    }
+    if (election.endTime && election.endTime <= new Date()) {
+      return interaction.reply({ content: 'Voting for this election has closed.', ephemeral: true });
+    }
+
+    const ballot = [...(election.ballots.get(interaction.user.id) || [])];
+
+    if (kind === "vote") {
+      return interaction.reply({
+        content: `Pick your choices below - each one is saved as soon as you select it.\n\n${describeBallot(election, ballot)}`,
+        components: buildBallotComponents(election, ballot),
+        ephemeral: true,
+      });
+    }
+
+    // A ranking changed - a book can only hold one rank, so clear it from any other
+    const rank = parseInt(rankText, 10);
+    const choice = interaction.values.length > 0 ? parseInt(interaction.values[0], 10) : -1;
+    for (let i = 0; i < ballot.length; i++) {
+      if (ballot[i] === choice) ballot[i] = -1;
+    }
+    while (ballot.length <= rank) ballot.push(-1);
+    ballot[rank] = choice;
+
+    election.ballots.set(interaction.user.id, ballot);
+    await election.save();
+    console.log(`User ${interaction.user.tag} updated their ballot for election ${electionId}`);
+
+    await interaction.update({
+      content: `✅ Ballot saved!\n\n${describeBallot(election, ballot)}`,
+      components: buildBallotComponents(election, ballot),
+    });
+  } catch (error) {
+    console.error(`Error processing election ballot for user ${interaction.user.tag}:`, error);
+    await interaction.reply({ content: 'There was an error recording your ballot. Please try again later.', ephemeral: true }).catch(() => {});
+  }
+}
+
+// INTERACTION HANDLER FOR SLASH COMMANDS, AUTOCOMPLETE AND BUTTONS
 client.on('interactionCreate', async interaction => {
+  if (interaction.isAutocomplete()) return handleAutocomplete(interaction);
+  if (interaction.isChatInputCommand()) return handleSlashCommand(interaction);
+  if (interaction.isStringSelectMenu() && interaction.customId.startsWith('election_')) {
+    return handleElectionInteraction(interaction);
+  }
   if (!interaction.isButton()) return;
 
+  if (interaction.customId.startsWith('election_')) {
+    return handleElectionInteraction(interaction);
+  }
+
+  if (interaction.customId.startsWith('pastreads_')) {
+    return handlePastReadsButton(interaction);
+  }
+
+  if (interaction.customId.startsWith('meetingconfirm_') || interaction.customId.startsWith('meetingcancel_')) {
+    return handleMeetingConfirmation(interaction);
+  }
+
+  if (interaction.customId.startsWith('rsvp_')) {
+    return handleRsvpButton(interaction);
+  }
+
   // Check if the customId starts with 'poll_'
   if (interaction.customId.startsWith('poll_')) {
     const parts = interaction.customId.split('_');
@@ -1345,7 +4686,7 @@ client.on('interactionCreate', async interaction => {
         return interaction.reply({ content: 'This poll no longer exists or has ended.', ephemeral: true });
       }
 
-      if (poll.endTime <= new Date()) {
+      if (poll.endedAt || poll.endTime <= new Date()) {
         return interaction.reply({ content: 'This poll has already ended.', ephemeral: true });
       }
 
@@ -1409,6 +4750,7 @@ const gracefulShutdown = async (signal) => {
   }, 5000);
 
   try {
+    stopScheduler();
     await mongoose.disconnect();
     await client.destroy();
   } catch (error) {
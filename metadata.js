@@ -0,0 +1,161 @@
+const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const { normaliseText } = require('./archive');
+
+// Book details (cover, pages, year, subjects, description) from an Open Library style API.
+// METADATA_API_URL and METADATA_COVERS_URL point it somewhere else, e.g. a local fixture server in tests;
+// the server only needs to answer /isbn/<isbn>.json, /search.json and /works/<id>.json like Open Library does.
+// Lookups (including "not found") are cached in Mongo so commands don't call the API every time.
+
+const API_URL = (process.env.METADATA_API_URL || 'https://openlibrary.org').replace(/\/+$/, '');
+const COVERS_URL = (process.env.METADATA_COVERS_URL || 'https://covers.openlibrary.org').replace(/\/+$/, '');
+const REQUEST_TIMEOUT_MS = 5000;
+const LOOKUP_TIMEOUT_MS = 8000; // For the whole lookup - an ISBN, work and search request can follow each other
+const FOUND_CACHE_DAYS = 30;
+const NOT_FOUND_CACHE_DAYS = 1; // Retry sooner in case the sheet's title was fixed or the API was briefly wrong
+const STALE_CACHE_DAYS = 30; // Outdated lookups are kept this much longer to fall back on when the API is down
+const DESCRIPTION_LENGTH = 300;
+
+const BookMetadataSchema = new mongoose.Schema({
+  _id: String, // "isbn:<isbn>" or "title:<title>|<author>"
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null }, // null when the book wasn't found
+  fetchedAt: Date,
+  freshUntil: Date, // Looked up again after this
+  expiresAt: Date // Deleted after this
+});
+BookMetadataSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const BookMetadata = mongoose.model('BookMetadata', BookMetadataSchema);
+
+async function getJson(path) {
+  const response = await fetch(`${API_URL}${path}`, {
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: { 'User-Agent': 'BooqClubBot (Discord book club bot)' }
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  return response.json();
+}
+
+// Open Library descriptions are either a string or { type, value }
+function shortenDescription(description) {
+  const text = String(typeof description === 'object' ? description?.value || '' : description || '')
+    .replace(/\r/g, '')
+    .split(/\n\s*\n|-{5,}/)[0] // Drop source notes and "Also contained in" lists after the first paragraph
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= DESCRIPTION_LENGTH) return text || null;
+
+  const cut = text.slice(0, DESCRIPTION_LENGTH);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  return sentenceEnd > DESCRIPTION_LENGTH / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.slice(0, cut.lastIndexOf(' '))}…`;
+}
+
+function coverUrl(coverId) {
+  return coverId ? `${COVERS_URL}/b/id/${coverId}-M.jpg` : null;
+}
+
+// Work-level details: the description and subjects live on the work, not the edition
+async function fetchWork(workKey) {
+  if (!workKey) return null;
+  return getJson(`${workKey}.json`).catch(error => {
+    console.warn(`⚠️ Couldn't load work ${workKey}:`, error.message);
+    return null;
+  });
+}
+
+async function fetchByIsbn(isbn) {
+  const edition = await getJson(`/isbn/${isbn}.json`);
+  if (!edition) return null;
+
+  const work = await fetchWork(edition.works?.[0]?.key);
+  const year = String(edition.publish_date || '').match(/\d{4}/)?.[0];
+  return {
+    title: edition.title || work?.title || null,
+    coverUrl: coverUrl(edition.covers?.[0] || work?.covers?.[0]),
+    pages: edition.number_of_pages || null,
+    year: year ? Number(year) : null,
+    subjects: (work?.subjects || edition.subjects || []).slice(0, 5),
+    description: shortenDescription(work?.description || edition.description),
+    url: `${API_URL}${edition.key || `/isbn/${isbn}`}`
+  };
+}
+
+async function fetchBySearch(title, author) {
+  const params = new URLSearchParams({
+    title,
+    limit: '1',
+    fields: 'key,title,author_name,first_publish_year,number_of_pages_median,subject,cover_i'
+  });
+  if (author) params.set('author', author);
+
+  const results = await getJson(`/search.json?${params}`);
+  const doc = results?.docs?.[0];
+  if (!doc) return null;
+
+  const work = await fetchWork(doc.key);
+  return {
+    title: doc.title || null,
+    coverUrl: coverUrl(doc.cover_i),
+    pages: doc.number_of_pages_median || null,
+    year: doc.first_publish_year || null,
+    subjects: (doc.subject || work?.subjects || []).slice(0, 5),
+    description: shortenDescription(work?.description),
+    url: `${API_URL}${doc.key}`
+  };
+}
+
+// Reject if `promise` hasn't settled within `ms` (it carries on in the background)
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Lookup took longer than ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Look up a sheet book ({ title, author, isbn }). Returns
+//   { title, coverUrl, pages, year, subjects, description, url }
+// or null when the book can't be found. Gives up after LOOKUP_TIMEOUT_MS, falling back to an outdated cache
+// entry if there is one - it only throws if the API can't be reached (or is too slow) and nothing is cached.
+async function getBookMetadata(book) {
+  const cacheKey = book.isbn
+    ? `isbn:${book.isbn}`
+    : `title:${normaliseText(book.title)}|${normaliseText(book.author)}`;
+  const useCache = mongoose.connection.readyState === 1;
+
+  let cached = null;
+  if (useCache) {
+    cached = await BookMetadata.findById(cacheKey).lean();
+    if (cached && (cached.freshUntil || cached.expiresAt) > new Date()) return cached.metadata;
+  }
+
+  try {
+    // A lookup that times out still finishes and fills the cache for next time
+    return await withTimeout(lookUpMetadata(book, cacheKey, useCache), LOOKUP_TIMEOUT_MS);
+  } catch (error) {
+    if (!cached) throw error;
+    console.warn(`⚠️ Using outdated metadata for "${book.title}":`, error.message);
+    return cached.metadata;
+  }
+}
+
+async function lookUpMetadata(book, cacheKey, useCache) {
+  console.log(`📚 Looking up book metadata for "${book.title}"${book.isbn ? ` (ISBN ${book.isbn})` : ''}...`);
+  let metadata = book.isbn ? await fetchByIsbn(book.isbn) : null;
+  if (!metadata) metadata = await fetchBySearch(book.title, book.author);
+
+  if (useCache) {
+    const days = metadata ? FOUND_CACHE_DAYS : NOT_FOUND_CACHE_DAYS;
+    const daysFromNow = count => new Date(Date.now() + count * 24 * 60 * 60 * 1000);
+    await BookMetadata.findByIdAndUpdate(
+      cacheKey,
+      { metadata, fetchedAt: new Date(), freshUntil: daysFromNow(days), expiresAt: daysFromNow(days + STALE_CACHE_DAYS) },
+      { upsert: true }
+    ).catch(error => console.error('❌ Error caching book metadata:', error.message));
+  }
+  return metadata;
+}
+
+module.exports = {
+  getBookMetadata
+};
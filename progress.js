@@ -0,0 +1,72 @@
+// Reading progress, for members' own progress and the club's reading point. Both are read from text like
+//   "45%", "page 120", "p. 120", "chapter 7", "ch 7" or "Through Chapter 8"
+// and stored as { kind: 'percent' | 'page' | 'chapter', value }.
+// Pages and percentages can be compared with each other when the book's page count is known;
+// chapters only compare with chapters.
+
+const PATTERNS = [
+  { kind: 'percent', regex: /(\d+(?:\.\d+)?)\s*%/ },
+  { kind: 'chapter', regex: /\b(?:chapter|chap\.?|ch\.?)\s*(\d+)\b/i },
+  { kind: 'page', regex: /\b(?:page|pg\.?|p\.?)\s*(\d+)\b/i }
+];
+
+const UNIT_NAMES = { percent: ['%', '%'], page: ['page', 'pages'], chapter: ['chapter', 'chapters'] };
+
+function parseProgress(text) {
+  const input = String(text || '').trim();
+  for (const { kind, regex } of PATTERNS) {
+    const match = input.match(regex);
+    if (!match) continue;
+
+    const value = Number(match[1]);
+    if (kind === 'percent' && (value < 0 || value > 100)) return null;
+    if (kind !== 'percent' && value < 1) return null;
+    return { kind, value };
+  }
+  return null;
+}
+
+function formatProgress(progress) {
+  if (!progress) return 'not set';
+  return progress.kind === 'percent' ? `${progress.value}%` : `${progress.kind} ${progress.value}`;
+}
+
+// "3 chapters", "1 page", "12%"
+function formatAmount(kind, amount) {
+  const rounded = Math.round(amount * 10) / 10;
+  if (kind === 'percent') return `${rounded}%`;
+  return `${rounded} ${UNIT_NAMES[kind][rounded === 1 ? 0 : 1]}`;
+}
+
+// Bring two progress values onto the same scale. Returns { kind, a, b } or null if they can't be compared.
+function toCommonScale(a, b, pageCount) {
+  if (a.kind === b.kind) return { kind: a.kind, a: a.value, b: b.value };
+  const mixable = ['percent', 'page'];
+  if (!pageCount || !mixable.includes(a.kind) || !mixable.includes(b.kind)) return null;
+
+  const asPercent = progress => (progress.kind === 'percent' ? progress.value : (progress.value / pageCount) * 100);
+  return { kind: 'percent', a: asPercent(a), b: asPercent(b) };
+}
+
+// How far `progress` is past (positive) or short of (negative) `target`:
+// { difference, kind } or null when the two can't be compared.
+function compareProgress(progress, target, pageCount) {
+  if (!progress || !target) return null;
+  const scale = toCommonScale(progress, target, pageCount);
+  return scale ? { difference: scale.a - scale.b, kind: scale.kind } : null;
+}
+
+// "✅ caught up", "📖 3 chapters behind", "❔ can't compare with chapter 8"
+function describeComparison(comparison, target) {
+  if (!target) return '';
+  if (!comparison) return `❔ can't compare with ${formatProgress(target)}`;
+  if (comparison.difference >= 0) return '✅ caught up';
+  return `📖 ${formatAmount(comparison.kind, -comparison.difference)} behind`;
+}
+
+module.exports = {
+  parseProgress,
+  formatProgress,
+  compareProgress,
+  describeComparison
+};
@@ -0,0 +1,186 @@
+const { DateTime } = require('luxon');
+
+// Recurring meeting rules. A rule looks like:
+//   { frequency: 'weekly', interval: 2, weekday: 7, hour: 16, minute: 0, anchorDate: '2025-01-05' }
+//   { frequency: 'monthly', nth: 1, weekday: 7, hour: 16, minute: 0 }
+// plus `skips` (occurrence dates to leave out) and `overrides` (occurrence date -> replacement ISO start).
+// Weekdays use Luxon numbering (1 = Monday ... 7 = Sunday), nth = -1 means the last one in the month.
+
+const WEEKDAYS = {
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+  sunday: 7, sun: 7
+};
+
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  last: -1
+};
+
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const WEEKDAY_NAMES = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Parse "7pm", "4:30pm", "19:00" into { hour, minute }
+function parseTimeOfDay(text) {
+  const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+
+  if (!meridiem && !match[2]) return null; // A bare number is ambiguous
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'pm' && hour !== 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute };
+}
+
+// Parse a rule such as "weekly sunday 4pm", "every 2 weeks on friday at 19:00" or "first sunday of every month 4pm".
+// Returns null when the text isn't understood. `now` decides where a weekly series starts counting from.
+function parseRecurrence(text, zone, now = DateTime.now()) {
+  const input = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const weekly = input.match(/^(?:weekly|every week|every (\d+) weeks?)(?: on)? (\w+)(?:(?: at)? (.+))?$/);
+  const monthly = input.match(/^(?:monthly(?: on)?(?: the)? )?(first|second|third|fourth|last|1st|2nd|3rd|4th) (\w+)(?: of (?:every|each|the) month)?(?:(?: at)? (.+))?$/);
+
+  let rule;
+  let timeText;
+  if (weekly) {
+    const weekday = WEEKDAYS[weekly[2]];
+    const interval = weekly[1] ? parseInt(weekly[1], 10) : 1;
+    if (!weekday || interval < 1 || interval > 52) return null;
+    rule = { frequency: 'weekly', interval, weekday };
+    timeText = weekly[3];
+  } else if (monthly) {
+    const weekday = WEEKDAYS[monthly[2]];
+    if (!weekday) return null;
+    rule = { frequency: 'monthly', nth: ORDINALS[monthly[1]], weekday };
+    timeText = monthly[3];
+  } else {
+    return null;
+  }
+
+  // Default to 7:00 PM, the same as one-off meetings
+  const time = timeText ? parseTimeOfDay(timeText) : { hour: 19, minute: 0 };
+  if (!time) return null;
+  rule.hour = time.hour;
+  rule.minute = time.minute;
+
+  if (rule.frequency === 'weekly') {
+    const today = now.setZone(zone).startOf('day');
+    rule.anchorDate = today.plus({ days: (rule.weekday - today.weekday + 7) % 7 }).toISODate();
+  }
+
+  rule.skips = [];
+  rule.overrides = [];
+  return rule;
+}
+
+// The nth (or last) weekday of a month, at the rule's time
+function nthWeekdayOfMonth(monthStart, rule) {
+  if (rule.nth === -1) {
+    const lastDay = monthStart.endOf('month').startOf('day');
+    return lastDay.minus({ days: (lastDay.weekday - rule.weekday + 7) % 7 });
+  }
+  const firstMatch = monthStart.plus({ days: (rule.weekday - monthStart.weekday + 7) % 7 });
+  const date = firstMatch.plus({ weeks: rule.nth - 1 });
+  return date.month === monthStart.month ? date : null;
+}
+
+// Scheduled occurrence dates (before skips/overrides) starting from the one on or after `from`
+function* occurrenceDates(rule, from, zone) {
+  if (rule.frequency === 'weekly') {
+    const anchor = DateTime.fromISO(rule.anchorDate, { zone });
+    const step = rule.interval || 1;
+    const weeksSinceAnchor = Math.max(0, Math.floor(from.diff(anchor, 'weeks').weeks));
+    let date = anchor.plus({ weeks: weeksSinceAnchor - (weeksSinceAnchor % step) });
+    while (true) {
+      yield date;
+      date = date.plus({ weeks: step });
+    }
+  }
+
+  let month = from.setZone(zone).startOf('month');
+  while (true) {
+    const date = nthWeekdayOfMonth(month, rule);
+    if (date) yield date;
+    month = month.plus({ months: 1 });
+  }
+}
+
+// The next `count` meeting start times after `after`, with skips and overrides applied
+function getUpcomingOccurrences(rule, after, zone, count = 1) {
+  if (!rule || !rule.frequency) return [];
+
+  const skips = new Set(rule.skips || []);
+  const overrides = new Map((rule.overrides || []).map(override => [override.date, override.isoDate]));
+  // Start a month early so an occurrence moved later than `after` is still found
+  const from = after.setZone(zone).minus({ months: 1 }).startOf('day');
+  const results = [];
+
+  let checked = 0;
+  for (const date of occurrenceDates(rule, from, zone)) {
+    // Cap the search so a rule with everything skipped can't loop forever
+    if (++checked > 120 || results.length >= count + 5) break;
+
+    const key = date.toISODate();
+    if (skips.has(key)) continue;
+
+    const start = overrides.has(key)
+      ? DateTime.fromISO(overrides.get(key), { zone })
+      : date.set({ hour: rule.hour, minute: rule.minute, second: 0, millisecond: 0 });
+    if (start > after) results.push({ occurrenceDate: key, start });
+  }
+
+  return results.sort((a, b) => a.start - b.start).slice(0, count);
+}
+
+// Find which scheduled occurrence date (yyyy-MM-dd in the rule's zone) a day belongs to, following overrides.
+// `dayZone` is the zone the day was typed in: a member's calendar day can hold an occurrence that falls on
+// the day before or after in the rule's zone.
+function findOccurrenceDate(rule, day, zone, dayZone = zone) {
+  const key = day.setZone(dayZone).toISODate();
+  const isOnDay = start => start.setZone(dayZone).toISODate() === key;
+  const moved = (rule.overrides || []).find(override => isOnDay(DateTime.fromISO(override.isoDate, { zone })));
+  if (moved) return moved.date;
+
+  const from = day.setZone(dayZone).startOf('day').setZone(zone);
+  for (const date of occurrenceDates(rule, from.minus({ days: 2 }), zone)) {
+    if (isOnDay(date.set({ hour: rule.hour, minute: rule.minute, second: 0, millisecond: 0 }))) return date.toISODate();
+    if (date > from.plus({ days: 2 })) return null;
+  }
+  return null;
+}
+
+function describeRecurrence(rule) {
+  if (!rule || !rule.frequency) return 'No recurring meeting';
+
+  const time = DateTime.fromObject({ hour: rule.hour, minute: rule.minute }).toFormat('h:mm a');
+  const weekday = WEEKDAY_NAMES[rule.weekday];
+  if (rule.frequency === 'weekly') {
+    return rule.interval > 1
+      ? `Every ${rule.interval} weeks on ${weekday} at ${time}`
+      : `Every ${weekday} at ${time}`;
+  }
+  return `The ${ORDINAL_NAMES[rule.nth]} ${weekday} of every month at ${time}`;
+}
+
+module.exports = {
+  parseTimeOfDay,
+  parseRecurrence,
+  getUpcomingOccurrences,
+  findOccurrenceDate,
+  describeRecurrence
+};
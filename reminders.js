@@ -0,0 +1,103 @@
+// Meeting reminder stages. Each guild can configure a list of
+//   { offsetMinutes, mention, template }
+// where `mention` is "everyone", "here", "none", "role:<roleId>" or "rsvp" (members who RSVP'd going or maybe)
+// and `template` supports the placeholders {date}, {timeUntil} and {readingPoint}. Lines whose placeholders
+// are all empty are dropped, so "📖 Reading Point: {readingPoint}" disappears when no reading point is set.
+
+const DEFAULT_TEMPLATE = 'Our next meeting is in **{timeUntil}** on **{date}**!\n\nRead now or else!\n\n📖 **Reading Point:** {readingPoint}';
+
+// Used until a guild configures its own list (the original single 2-day @everyone reminder)
+const DEFAULT_REMINDERS = [
+  { offsetMinutes: 2 * 24 * 60, mention: 'everyone', template: DEFAULT_TEMPLATE }
+];
+
+const UNIT_MINUTES = { w: 7 * 24 * 60, d: 24 * 60, h: 60, m: 1 };
+const UNIT_NAMES = [['week', UNIT_MINUTES.w], ['day', UNIT_MINUTES.d], ['hour', UNIT_MINUTES.h], ['minute', UNIT_MINUTES.m]];
+
+// Parse "1w", "2d", "1h", "30m" or combinations like "1d12h" into minutes
+function parseOffset(text) {
+  const input = String(text || '').trim().toLowerCase();
+  if (!/^(\d+[wdhm])+$/.test(input)) return null;
+
+  let minutes = 0;
+  for (const [, amount, unit] of input.matchAll(/(\d+)([wdhm])/g)) {
+    minutes += parseInt(amount, 10) * UNIT_MINUTES[unit];
+  }
+  return minutes > 0 ? minutes : null;
+}
+
+// 2880 -> "2 days", 2190 -> "1 day 12 hours 30 minutes"
+function formatOffset(totalMinutes) {
+  let remaining = Math.max(0, Math.round(totalMinutes));
+  const parts = [];
+  for (const [name, size] of UNIT_NAMES) {
+    const amount = Math.floor(remaining / size);
+    if (amount > 0) {
+      parts.push(`${amount} ${name}${amount === 1 ? '' : 's'}`);
+      remaining -= amount * size;
+    }
+  }
+  return parts.join(' ') || 'less than a minute';
+}
+
+// Normalise "@everyone", "here", "<@&123>" etc. into the stored mention format
+function parseMention(text) {
+  const input = String(text || '').trim().toLowerCase();
+  if (input === '@everyone' || input === 'everyone') return 'everyone';
+  if (input === '@here' || input === 'here') return 'here';
+  if (input === 'none') return 'none';
+  if (input === '@rsvp' || input === 'rsvp') return 'rsvp';
+  const role = input.match(/^<@&(\d+)>$/) || input.match(/^role:(\d+)$/);
+  return role ? `role:${role[1]}` : null;
+}
+
+// The message content (and allowed mentions) that pings a reminder's mention target.
+// `rsvpUserIds` are the members pinged by an "rsvp" reminder.
+function buildMentionContent(mention, rsvpUserIds = []) {
+  if (mention === 'everyone') return { content: '@everyone', allowedMentions: { parse: ['everyone'] } };
+  if (mention === 'here') return { content: '@here', allowedMentions: { parse: ['everyone'] } };
+  if (mention?.startsWith('role:')) {
+    const roleId = mention.slice('role:'.length);
+    return { content: `<@&${roleId}>`, allowedMentions: { roles: [roleId] } };
+  }
+  if (mention === 'rsvp' && rsvpUserIds.length > 0) {
+    // Discord allows at most 100 user mentions per message
+    const userIds = rsvpUserIds.slice(0, 100);
+    return { content: userIds.map(userId => `<@${userId}>`).join(' '), allowedMentions: { users: userIds } };
+  }
+  return {};
+}
+
+function describeMention(mention) {
+  if (mention === 'everyone') return '@everyone';
+  if (mention === 'here') return '@here';
+  if (mention?.startsWith('role:')) return `<@&${mention.slice('role:'.length)}>`;
+  if (mention === 'rsvp') return "members who RSVP'd";
+  return 'no mention';
+}
+
+function renderTemplate(template, values) {
+  return String(template)
+    .replace(/\\n/g, '\n')
+    .split('\n')
+    .filter(line => {
+      const placeholders = (line.match(/\{(\w+)\}/g) || [])
+        .map(placeholder => placeholder.slice(1, -1))
+        .filter(key => key in values);
+      return placeholders.length === 0 || placeholders.some(key => values[key]);
+    })
+    .join('\n')
+    .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] || '' : placeholder))
+    .trim();
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_REMINDERS,
+  parseOffset,
+  formatOffset,
+  parseMention,
+  buildMentionContent,
+  describeMention,
+  renderTemplate
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+// Mongo-backed job queue. Jobs are stored with a type, a payload and a due time; a single poll loop
+// claims due jobs atomically (so each job runs at most once, even with several bot instances)
+// and retries failures with exponential backoff.
+
+const JobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  runAt: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'running', 'done', 'failed'], default: 'pending' },
+  key: { type: String }, // Optional unique name so a job can be replaced or cancelled (e.g. "poll:<messageId>")
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  lockedBy: String, // Session ID of the process running the job
+  lockedAt: Date,
+  lastError: String,
+  finishedAt: Date,
+  // Replacement schedule ({ type, payload, runAt, maxAttempts }) set while the job was running - it takes
+  // over once the run finishes, so a job is never reset (and run a second time) while it's still going
+  next: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: true });
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+// Finished jobs are kept for a week for debugging, then removed by MongoDB
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', JobSchema);
+
+const POLL_INTERVAL_MS = 15 * 1000;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A job still "running" after this long belongs to a process that died mid-run
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+let workerId = null;
+let pollInterval = null;
+let polling = false;
+
+// Register the function that runs jobs of a type. It receives the payload and the job document.
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Replace the job with `key`, unless it is running - then the new schedule waits in `next` until the run finishes.
+// The upsert can only hit the unique key index when the job is running, and the running job can finish in
+// between, so it tries again.
+async function replaceKeyedJob(key, fields) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await Job.findOneAndUpdate({ key, status: { $ne: 'running' } }, { $set: { ...fields, key, next: null } }, { upsert: true, new: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const { type, payload, runAt, maxAttempts } = fields;
+    const running = await Job.findOneAndUpdate({ key, status: 'running' }, { $set: { next: { type, payload, runAt, maxAttempts } } }, { new: true });
+    if (running) return running;
+  }
+  throw new Error(`Couldn't replace job "${key}"`);
+}
+
+// Store a job to run at `runAt`. With a `key`, any job with the same key is replaced - after its current run if
+// it is running (or, with `replace: false`, left alone if one already exists).
+async function scheduleJob(type, payload, runAt, { key, replace = true, maxAttempts = 5 } = {}) {
+  const fields = { type, payload, runAt, status: 'pending', attempts: 0, maxAttempts, lockedBy: null, lockedAt: null, lastError: null, finishedAt: null };
+
+  let job;
+  if (!key) {
+    job = await Job.create(fields);
+  } else if (replace) {
+    job = await replaceKeyedJob(key, fields);
+  } else {
+    job = await Job.findOneAndUpdate({ key }, { $setOnInsert: { ...fields, key } }, { upsert: true, new: true });
+  }
+
+  console.log(`🗓️ Scheduled ${type} job${key ? ` "${key}"` : ''} for ${new Date(runAt).toISOString()}`);
+
+  // Don't wait a whole poll interval for jobs that are already due
+  if (pollInterval && new Date(runAt).getTime() <= Date.now()) {
+    setImmediate(runDueJobs);
+  }
+  return job;
+}
+
+// Cancel a pending job by key (a running one finishes, but won't run again if it was rescheduled)
+async function cancelJob(key) {
+  await Job.deleteOne({ key, status: 'pending' });
+  await Job.updateOne({ key, status: 'running' }, { $set: { next: null } });
+}
+
+// Cancel every pending job whose key starts with `prefix` (e.g. all reminders for a guild)
+async function cancelJobsByPrefix(prefix) {
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  await Job.deleteMany({ key: { $regex: `^${escaped}` }, status: 'pending' });
+  await Job.updateMany({ key: { $regex: `^${escaped}` }, status: 'running' }, { $set: { next: null } });
+}
+
+// Update pipeline that turns a job's `next` schedule into a fresh pending job
+const APPLY_NEXT_SCHEDULE = [
+  {
+    $set: {
+      type: '$next.type', payload: '$next.payload', runAt: '$next.runAt', maxAttempts: '$next.maxAttempts',
+      status: 'pending', attempts: 0, lockedBy: null, lockedAt: null, lastError: null, finishedAt: null, next: null
+    }
+  }
+];
+
+// A run has finished: apply the schedule set while it was running if there is one, otherwise `update`
+async function finishJob(job, update) {
+  const mine = { _id: job._id, status: 'running', lockedBy: workerId };
+  const rescheduled = await Job.updateOne({ ...mine, next: { $ne: null } }, APPLY_NEXT_SCHEDULE);
+  if (rescheduled.modifiedCount > 0) return true;
+  await Job.updateOne(mine, update);
+  return false;
+}
+
+// Atomically claim the next due job so no other poll (or process) can run it too
+function claimNextJob() {
+  return Job.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: new Date() } },
+    { $set: { status: 'running', lockedBy: workerId, lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    await handler(job.payload || {}, job);
+
+    await finishJob(job, { $set: { status: 'done', finishedAt: new Date() } });
+    console.log(`✅ Job ${job.type}${job.key ? ` "${job.key}"` : ''} completed`);
+  } catch (error) {
+    const willRetry = job.attempts < job.maxAttempts;
+    const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, job.attempts - 1), MAX_RETRY_DELAY_MS);
+    console.error(`❌ Job ${job.type}${job.key ? ` "${job.key}"` : ''} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error);
+
+    // A schedule set while it ran takes the place of the retry
+    const rescheduled = await finishJob(
+      job,
+      willRetry
+        ? { $set: { status: 'pending', runAt: new Date(Date.now() + delay), lastError: String(error?.message || error), lockedBy: null, lockedAt: null } }
+        : { $set: { status: 'failed', lastError: String(error?.message || error), finishedAt: new Date() } }
+    );
+    if (willRetry && !rescheduled) console.log(`🔄 Retrying in ${delay / 1000} seconds...`);
+  }
+}
+
+async function runDueJobs() {
+  if (polling) return;
+  polling = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('❌ Error polling for due jobs:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+// Jobs left "running" by a process that crashed can't be known to have not run, so they are
+// failed rather than retried - this keeps the at-most-once guarantee. One rescheduled while it ran still
+// gets its next run.
+async function failStaleJobs() {
+  const staleLock = { status: 'running', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } };
+  await Job.updateMany({ ...staleLock, next: { $ne: null } }, APPLY_NEXT_SCHEDULE);
+  const result = await Job.updateMany(
+    staleLock,
+    { $set: { status: 'failed', lastError: 'Interrupted - the process running it stopped', finishedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.warn(`⚠️ Marked ${result.modifiedCount} interrupted job(s) as failed`);
+  }
+}
+
+function startScheduler(id) {
+  if (pollInterval) return;
+  workerId = id;
+  pollInterval = setInterval(() => {
+    failStaleJobs().catch(error => console.error('❌ Error checking for stale jobs:', error));
+    runDueJobs();
+  }, POLL_INTERVAL_MS);
+  console.log(`🗓️ Job scheduler started (Worker: ${workerId})`);
+  runDueJobs();
+}
+
+function stopScheduler() {
+  clearInterval(pollInterval);
+  pollInterval = null;
+}
+
+module.exports = {
+  Job,
+  registerJobHandler,
+  scheduleJob,
+  cancelJob,
+  cancelJobsByPrefix,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,77 @@
+const { normaliseText } = require('./archive');
+
+// Fuzzy book search for !search. Every query word is compared with the words of a book's title and author,
+// allowing for typos (edit distance) and ignoring case and accents; the book's score is the average of
+// each query word's best match, from 0 (nothing alike) to 1 (every word found).
+
+// Scores at or above this are shown as results; anything lower is only offered as "did you mean"
+const GOOD_MATCH = 0.75;
+const SUGGESTION_MATCH = 0.45;
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function words(text) {
+  return normaliseText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// How well one query word matches one target word (prefixes count, so "mura" finds "murakami")
+function wordSimilarity(queryWord, targetWord) {
+  if (targetWord === queryWord) return 1;
+  if (queryWord.length >= 3 && targetWord.startsWith(queryWord)) return 0.9;
+  const distance = levenshtein(queryWord, targetWord);
+  return Math.max(0, 1 - distance / Math.max(queryWord.length, targetWord.length));
+}
+
+function scoreText(queryWords, text) {
+  const targetWords = words(text);
+  if (queryWords.length === 0 || targetWords.length === 0) return 0;
+
+  const total = queryWords.reduce((sum, queryWord) =>
+    sum + Math.max(...targetWords.map(targetWord => wordSimilarity(queryWord, targetWord))), 0);
+  return total / queryWords.length;
+}
+
+// Returns [{ book, score, matchedOn }] best first, where `matchedOn` is "title", "author" or "both".
+// Includes weak matches too - compare `score` with GOOD_MATCH to decide what to show.
+function searchBooks(books, query, limit = 5) {
+  const queryWords = words(query);
+  if (queryWords.length === 0) return [];
+
+  const fullQuery = queryWords.join(' ');
+  return books
+    .map(book => {
+      const title = scoreText(queryWords, book.title);
+      const author = scoreText(queryWords, book.author);
+      // Queries like "murakami kafka" mix the two
+      const both = scoreText(queryWords, `${book.title} ${book.author}`) - 0.01;
+      let score = Math.max(title, author, both);
+      const matchedOn = score === title ? 'title' : score === author ? 'author' : 'both';
+      // An exact phrase inside the title or author always counts as a good match
+      if (fullQuery.length >= 3 && normaliseText(`${book.title} ${book.author}`).includes(fullQuery)) score = Math.max(score, 0.95);
+
+      return { book, score, matchedOn };
+    })
+    .sort((a, b) => b.score - a.score || a.book.row - b.book.row)
+    .slice(0, limit);
+}
+
+module.exports = {
+  GOOD_MATCH,
+  SUGGESTION_MATCH,
+  searchBooks
+};
@@ -1,65 +1,218 @@
 const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const { google } = require('googleapis');
 
+// The club's original spreadsheet, used for guilds that haven't set their own with !config
 const SPREADSHEET_ID = '1TRraVAkBbpZHz0oLLe0TRkx9i8F4OwAUMkP4gm74nYs';
+const DEFAULT_TAB = 'Blad1';
 
-async function getSheetData(range = 'Blad1') {
-  try {
-    console.log('📊 Fetching data from public Google Sheet...');
-    
-    // Public Google Sheets JSON endpoint (no API key needed for public sheets)
-    const publicUrl = `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}/gviz/tq?tqx=out:json&sheet=${range}`;
-    
-    const response = await fetch(publicUrl);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+// Every function below takes a sheet as { spreadsheetId, tab }; anything left out uses the defaults above
+function resolveSheet(sheet = {}) {
+  return { spreadsheetId: sheet.spreadsheetId || SPREADSHEET_ID, tab: sheet.tab || DEFAULT_TAB };
+}
+
+function getSpreadsheetUrl(sheet) {
+  return `https://docs.google.com/spreadsheets/d/${resolveSheet(sheet).spreadsheetId}/edit`;
+}
+
+// Fetch every row of the public sheet through the gviz endpoint. Throws when Google can't be reached.
+async function fetchSheetValues({ spreadsheetId, tab }) {
+  console.log('📊 Fetching data from public Google Sheet...');
+
+  // Public Google Sheets JSON endpoint (no API key needed for public sheets)
+  const publicUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(tab)}`;
+
+  const response = await fetch(publicUrl);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const text = await response.text();
+
+  // Check if we got a valid response before parsing
+  if (!text || text.length < 50) {
+    throw new Error('Invalid response from Google Sheets');
+  }
+
+  // Parse the Google Visualization API response (removes wrapper)
+  const jsonData = JSON.parse(text.substring(47).slice(0, -2));
+
+  // Check if we have valid data structure
+  if (!jsonData.table || !jsonData.table.rows) {
+    throw new Error('Invalid data structure from Google Sheets');
+  }
+
+  const rows = jsonData.table.rows;
+
+  // Convert to simple array format - handle empty cells properly
+  const values = rows.map(row => {
+    if (!row.c) return [];
+    return row.c.map(cell => {
+      // Handle different cell value types
+      if (cell === null) return '';
+      if (cell.v !== undefined) return cell.v;
+      if (cell.f !== undefined) return cell.f;
+      return '';
+    });
+  }).filter(row => row.length > 0); // Remove empty rows
+
+  // When gviz detects a header row it moves it into the column labels, so put it back on top
+  const labels = (jsonData.table.cols || []).map(col => col.label || '');
+  if (labels.some(label => label.trim())) {
+    values.unshift(labels);
+  }
+
+  // Ensure we have at least headers
+  if (values.length === 0) {
+    throw new Error('The sheet returned no rows');
+  }
+
+  console.log(`✅ Successfully fetched ${values.length} rows from public sheet`);
+  return values;
+}
+
+// Sheet data is cached in memory (and in Mongo when it's connected, so a restart doesn't start cold).
+// Fresh data is served straight from the cache; once it's older than the TTL the stale copy is still
+// served while a refresh runs in the background. Failed fetches back off exponentially before retrying,
+// and sample data is only used when nothing has ever been fetched.
+const CACHE_TTL_MS = (parseInt(process.env.SHEET_CACHE_TTL_SECONDS, 10) || 5 * 60) * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+const SheetCacheSchema = new mongoose.Schema({
+  _id: String, // "<spreadsheetId>/<tab>"
+  values: { type: mongoose.Schema.Types.Mixed, default: [] },
+  fetchedAt: Date
+});
+const SheetCache = mongoose.model('SheetCache', SheetCacheSchema);
+
+// "<spreadsheetId>/<tab>" -> { values, fetchedAt, lastAttemptAt, lastError, failures, retryAt, refreshing }
+const sheetCache = new Map();
+
+function getCacheKey(sheet) {
+  const { spreadsheetId, tab } = resolveSheet(sheet);
+  return `${spreadsheetId}/${tab}`;
+}
+
+function getCacheEntry(sheet) {
+  const key = typeof sheet === 'string' ? sheet : getCacheKey(sheet);
+  if (!sheetCache.has(key)) {
+    sheetCache.set(key, { values: null, fetchedAt: null, lastAttemptAt: null, lastError: null, failures: 0, retryAt: null, refreshing: null });
+  }
+  return sheetCache.get(key);
+}
+
+// Fetch the sheet into the cache. Concurrent callers share one request.
+function refreshSheetData(sheet) {
+  const entry = getCacheEntry(sheet);
+  if (entry.refreshing) return entry.refreshing;
+
+  entry.refreshing = (async () => {
+    entry.lastAttemptAt = new Date();
+    try {
+      const values = await fetchSheetValues(resolveSheet(sheet));
+      Object.assign(entry, { values, fetchedAt: new Date(), lastError: null, failures: 0, retryAt: null });
+
+      if (mongoose.connection.readyState === 1) {
+        await SheetCache.findByIdAndUpdate(getCacheKey(sheet), { values, fetchedAt: entry.fetchedAt }, { upsert: true })
+          .catch(error => console.error('❌ Error saving sheet cache:', error.message));
+      }
+      return values;
+    } catch (error) {
+      entry.failures++;
+      entry.lastError = error.message;
+      const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, entry.failures - 1), MAX_BACKOFF_MS);
+      entry.retryAt = new Date(Date.now() + delay);
+      console.error(`❌ Error fetching public sheet data (attempt ${entry.failures}, next try in ${delay / 1000}s):`, error.message);
+      throw error;
+    } finally {
+      entry.refreshing = null;
     }
-    
-    const text = await response.text();
-    
-    // Check if we got a valid response before parsing
-    if (!text || text.length < 50) {
-      throw new Error('Invalid response from Google Sheets');
+  })();
+  return entry.refreshing;
+}
+
+// Load the last fetched copy of each sheet from Mongo, so stale data can be served right after a restart
+async function loadSheetCache() {
+  const documents = await SheetCache.find({});
+  for (const doc of documents) {
+    const entry = getCacheEntry(doc._id);
+    if (!entry.fetchedAt || entry.fetchedAt < doc.fetchedAt) {
+      entry.values = doc.values;
+      entry.fetchedAt = doc.fetchedAt;
     }
-    
-    // Parse the Google Visualization API response (removes wrapper)
-    const jsonData = JSON.parse(text.substring(47).slice(0, -2));
-    
-    // Check if we have valid data structure
-    if (!jsonData.table || !jsonData.table.rows) {
-      throw new Error('Invalid data structure from Google Sheets');
+  }
+  console.log(`📊 Loaded ${documents.length} cached sheet(s) from the database`);
+}
+
+// Where the data being served comes from:
+//   'live'   - fetched within the TTL, and the latest fetch succeeded
+//   'cached' - an older copy, because it's past the TTL or Google is currently failing
+//   'sample' - nothing could be fetched, so getSampleData() placeholders are being served
+// null means nothing has been requested yet.
+function getDataSource(entry) {
+  if (entry.values) {
+    const fresh = Date.now() - entry.fetchedAt.getTime() < CACHE_TTL_MS;
+    return fresh && !entry.lastError ? 'live' : 'cached';
+  }
+  return entry.lastAttemptAt ? 'sample' : null;
+}
+
+// The sheet rows plus where they came from: { values, source, fetchedAt, lastError }
+async function getSheetDataWithSource(sheet) {
+  const entry = getCacheEntry(sheet);
+  const now = Date.now();
+  const backingOff = entry.retryAt && entry.retryAt.getTime() > now;
+
+  if (entry.values) {
+    const stale = now - entry.fetchedAt.getTime() >= CACHE_TTL_MS;
+    if (stale && !backingOff) {
+      // Serve the stale copy now and refresh in the background
+      refreshSheetData(sheet).catch(() => {});
     }
-    
-    const rows = jsonData.table.rows;
-    
-    // Convert to simple array format - handle empty cells properly
-    const values = rows.map(row => {
-      if (!row.c) return [];
-      return row.c.map(cell => {
-        // Handle different cell value types
-        if (cell === null) return '';
-        if (cell.v !== undefined) return cell.v;
-        if (cell.f !== undefined) return cell.f;
-        return '';
-      });
-    }).filter(row => row.length > 0); // Remove empty rows
-    
-    console.log(`✅ Successfully fetched ${values.length} rows from public sheet`);
-    
-    // Ensure we have at least headers
-    if (values.length === 0) {
-      return getSampleData();
+  } else if (!backingOff) {
+    try {
+      await refreshSheetData(sheet);
+    } catch (error) {
+      // Logged by refreshSheetData
     }
-    
-    return values;
-    
-  } catch (error) {
-    console.error('❌ Error fetching public sheet data:', error.message);
-    
+  }
+
+  const source = getDataSource(entry) || 'sample';
+  if (source === 'sample') {
     // Fallback to sample data so bot remains functional
     console.log('🔄 Using sample data as fallback');
-    return getSampleData();
   }
+  return {
+    values: entry.values || getSampleData(),
+    source,
+    fetchedAt: entry.fetchedAt,
+    lastError: entry.lastError
+  };
+}
+
+async function getSheetData(sheet) {
+  return (await getSheetDataWithSource(sheet)).values;
+}
+
+// How old the cached copy is and how recent fetches went, for !status, /health and !refreshsheet
+function getSheetCacheStatus(sheet) {
+  const entry = getCacheEntry(sheet);
+  const source = getDataSource(entry);
+  return {
+    source,
+    degraded: source === 'cached' || source === 'sample',
+    fetchedAt: entry.fetchedAt,
+    ageMs: entry.fetchedAt ? Date.now() - entry.fetchedAt.getTime() : null,
+    rowCount: entry.values ? entry.values.length : 0,
+    stale: !entry.fetchedAt || Date.now() - entry.fetchedAt.getTime() >= CACHE_TTL_MS,
+    lastAttemptAt: entry.lastAttemptAt,
+    lastError: entry.lastError,
+    failures: entry.failures,
+    retryAt: entry.retryAt,
+    ttlMs: CACHE_TTL_MS
+  };
 }
 
 function getSampleData() {
@@ -73,16 +226,270 @@ function getSampleData() {
   ];
 }
 
+// Books are read by header name rather than position, so columns can be added or moved in the sheet.
+// Each field lists the header names it accepts; SHEET_COLUMN_ALIASES (JSON, e.g. {"rating":["our score"]})
+// adds more. Statuses are normalised the same way: every spelling in STATUS_ALIASES maps onto one of the
+// BOOK_STATUS values, and SHEET_STATUS_ALIASES (JSON, e.g. {"finished":["discussed"]}) adds more.
+const BOOK_STATUS = {
+  READING: 'currently reading',
+  FINISHED: 'finished',
+  TOP_CHOICE: 'top choice',
+  FUTURE_OPTION: 'future option'
+};
+
+const DEFAULT_COLUMN_ALIASES = {
+  title: ['title', 'book', 'book title', 'name'],
+  author: ['author', 'authors', 'writer', 'by'],
+  status: ['status', 'state'],
+  link: ['link', 'url', 'goodreads', 'storygraph'],
+  rating: ['rating', 'score', 'stars', 'average rating'],
+  isbn: ['isbn', 'isbn13', 'isbn-13', 'isbn10', 'isbn-10']
+};
+
+const DEFAULT_STATUS_ALIASES = {
+  [BOOK_STATUS.READING]: ['currently reading', 'reading', 'current'],
+  [BOOK_STATUS.FINISHED]: ['finished', 'read', 'done', 'completed'],
+  [BOOK_STATUS.TOP_CHOICE]: ['top choice', 'top pick', 'shortlist'],
+  [BOOK_STATUS.FUTURE_OPTION]: ['future option', 'option', 'suggestion', 'tbr']
+};
+
+const REQUIRED_COLUMNS = ['title', 'status'];
+// Used when the sheet has them, but not worth reporting as missing
+const EXTRA_COLUMNS = ['isbn'];
+
+function normaliseHeader(text) {
+  return String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Merge extra aliases from an environment variable into the defaults (ignoring it if it isn't valid JSON)
+function loadAliases(defaults, envName) {
+  const merged = Object.fromEntries(Object.entries(defaults).map(([key, aliases]) => [key, [...aliases]]));
+  const raw = process.env[envName]?.trim();
+  if (!raw) return merged;
+
+  try {
+    for (const [key, aliases] of Object.entries(JSON.parse(raw))) {
+      if (!merged[key]) {
+        console.warn(`⚠️ ${envName} has aliases for unknown key "${key}" - ignoring them`);
+        continue;
+      }
+      merged[key].push(...[].concat(aliases).map(normaliseHeader));
+    }
+  } catch (error) {
+    console.error(`❌ ${envName} is not valid JSON - using the default aliases:`, error.message);
+  }
+  return merged;
+}
+
+const COLUMN_ALIASES = loadAliases(DEFAULT_COLUMN_ALIASES, 'SHEET_COLUMN_ALIASES');
+const STATUS_ALIASES = loadAliases(DEFAULT_STATUS_ALIASES, 'SHEET_STATUS_ALIASES');
+
+// Map each field to its column index from the header row. Missing fields are left out of `columns`.
+function mapColumns(header) {
+  const normalised = (header || []).map(normaliseHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalised.findIndex(cell => aliases.includes(cell));
+    if (index !== -1) columns[field] = index;
+  }
+  const missing = Object.keys(COLUMN_ALIASES).filter(field => columns[field] === undefined);
+  return { columns, missing };
+}
+
+// "Read" -> "finished", "Top Pick" -> "top choice"; null for anything not in the vocabulary
+function normaliseStatus(text) {
+  const status = normaliseHeader(text);
+  if (!status) return null;
+  return Object.keys(STATUS_ALIASES).find(key => STATUS_ALIASES[key].includes(status)) || null;
+}
+
+// Turn sheet rows (header first) into book records:
+//   { row, title, author, status, rawStatus, link, rating, isbn }
+// `row` is the 1-based row in the sheet, `status` one of BOOK_STATUS (or null) and `rating` a number (or null).
+// Also returns the column mapping and a list of { row, problem } for !sheetcheck.
+function parseBooks(values) {
+  const [header, ...rows] = values || [];
+  const { columns, missing } = mapColumns(header);
+  const cell = (row, field) => (columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim());
+
+  const books = [];
+  const problems = [];
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    if (row.every(value => String(value ?? '').trim() === '')) return; // Blank spacer row
+
+    const title = cell(row, 'title');
+    const rawStatus = cell(row, 'status');
+    const rawRating = cell(row, 'rating');
+    const link = cell(row, 'link');
+    const status = normaliseStatus(rawStatus);
+
+    let rating = null;
+    if (rawRating) {
+      rating = Number(rawRating.replace(',', '.').replace(/\s*\/\s*5$/, ''));
+      if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+        problems.push({ row: rowNumber, problem: `rating "${rawRating}" isn't a number from 0 to 5` });
+        rating = null;
+      }
+    }
+
+    if (!title) problems.push({ row: rowNumber, problem: 'no title' });
+    if (columns.status !== undefined && !rawStatus) problems.push({ row: rowNumber, problem: `"${title || 'untitled'}" has no status` });
+    if (rawStatus && !status) problems.push({ row: rowNumber, problem: `unknown status "${rawStatus}"` });
+    if (link && !/^https?:\/\//i.test(link)) problems.push({ row: rowNumber, problem: `link "${link}" isn't a URL` });
+
+    const isbn = cell(row, 'isbn').replace(/[\s-]/g, '').toUpperCase();
+    if (isbn && !/^(\d{9}[\dX]|\d{13})$/.test(isbn)) problems.push({ row: rowNumber, problem: `ISBN "${cell(row, 'isbn')}" should have 10 or 13 digits` });
+
+    if (title) {
+      books.push({ row: rowNumber, title, author: cell(row, 'author'), status, rawStatus, link: /^https?:\/\//i.test(link) ? link : null, rating, isbn: /^(\d{9}[\dX]|\d{13})$/.test(isbn) ? isbn : null });
+    }
+  });
+
+  return { books, columns, missing, problems };
+}
+
+// The sheet's books as records (see parseBooks)
+async function getBooks(sheet) {
+  return (await getBookData(sheet)).books;
+}
+
+// The books plus where they came from ({ books, source, fetchedAt, lastError }), for embeds that warn about old data
+async function getBookData(sheet) {
+  const { values, ...origin } = await getSheetDataWithSource(sheet);
+  return { books: parseBooks(values).books, ...origin };
+}
+
+// Everything !sheetcheck reports: missing columns, unknown statuses and malformed rows
+async function checkSheet(sheet) {
+  const { values, source, fetchedAt, lastError } = await getSheetDataWithSource(sheet);
+  const { books, columns, missing, problems } = parseBooks(values);
+  return {
+    source,
+    fetchedAt,
+    lastError,
+    header: values[0] || [],
+    columns,
+    missingRequired: missing.filter(field => REQUIRED_COLUMNS.includes(field)),
+    missingOptional: missing.filter(field => !REQUIRED_COLUMNS.includes(field) && !EXTRA_COLUMNS.includes(field)),
+    unknownStatuses: [...new Set(books.filter(book => book.rawStatus && !book.status).map(book => book.rawStatus))],
+    problems,
+    bookCount: books.length
+  };
+}
+
 async function getSheetInfo() {
   // Return basic info (not critical for bot functionality)
   return {
     properties: { title: 'Book Club Spreadsheet' },
-    sheets: [{ properties: { title: 'Blad1' } }]
+    sheets: [{ properties: { title: DEFAULT_TAB } }]
   };
 }
 
+// Authenticated writes go through the Sheets API instead of the public endpoint above.
+// Credentials come from GOOGLE_SERVICE_ACCOUNT_JSON (the key file contents) or GOOGLE_APPLICATION_CREDENTIALS
+// (a path to the key file), and the service account needs edit access to the sheet.
+// GOOGLE_SHEETS_ROOT_URL points the client at a local stand-in, where no credentials are needed.
+// SHEETS_WRITE_DRY_RUN=true logs every change instead of making it.
+const SHEETS_SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+function getSheetsClient() {
+  const rootUrl = process.env.GOOGLE_SHEETS_ROOT_URL?.trim();
+  const credentialsJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON?.trim();
+
+  let auth;
+  if (credentialsJson) {
+    auth = new google.auth.GoogleAuth({ credentials: JSON.parse(credentialsJson), scopes: SHEETS_SCOPES });
+  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    auth = new google.auth.GoogleAuth({ scopes: SHEETS_SCOPES });
+  } else if (!rootUrl) {
+    throw new Error('No Google credentials configured (set GOOGLE_SERVICE_ACCOUNT_JSON or GOOGLE_APPLICATION_CREDENTIALS)');
+  }
+
+  return google.sheets({ version: 'v4', auth, ...(rootUrl && { rootUrl }) });
+}
+
+function isWriteDryRun() {
+  return process.env.SHEETS_WRITE_DRY_RUN?.trim().toLowerCase() === 'true';
+}
+
+// 0 -> "A", 25 -> "Z", 26 -> "AA"
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// Write a rating into a book's row, and with `markFinished` flip its Status from "currently reading" to "finished".
+// Returns null if no row has that title, otherwise { title, row, changes, dryRun } where `row` is the
+// 1-based sheet row and `changes` lists { column, cell, from, to } for every cell written.
+async function writeBookRating(title, rating, { markFinished = false, dryRun = isWriteDryRun(), sheet } = {}) {
+  const sheets = getSheetsClient();
+  const { spreadsheetId, tab } = resolveSheet(sheet);
+
+  // Read through the API rather than the public endpoint so row numbers line up with the sheet (gviz drops empty rows)
+  const quotedTab = `'${tab.replace(/'/g, "''")}'`; // A1 notation needs quotes around tab names with spaces
+  const response = await sheets.spreadsheets.values.get({ spreadsheetId, range: quotedTab });
+  const rows = response.data.values || [];
+  const { columns, missing } = mapColumns(rows[0]);
+  if (missing.includes('title') || missing.includes('rating')) {
+    throw new Error(`The sheet has no ${missing.includes('title') ? 'Title' : 'Rating'} column`);
+  }
+  const { title: titleColumn, status: statusColumn, rating: ratingColumn } = columns;
+
+  const wanted = String(title).trim().toLowerCase();
+  const rowIndex = rows.findIndex((row, index) => index > 0 && String(row[titleColumn] || '').trim().toLowerCase() === wanted);
+  if (rowIndex === -1) return null;
+
+  const row = rows[rowIndex];
+  const rowNumber = rowIndex + 1;
+  const changes = [{ column: 'Rating', cell: `${columnLetter(ratingColumn)}${rowNumber}`, from: row[ratingColumn] ?? '', to: Number(rating.toFixed(2)) }];
+
+  const status = statusColumn === undefined ? '' : String(row[statusColumn] || '').trim();
+  if (markFinished && normaliseStatus(status) === BOOK_STATUS.READING) {
+    changes.push({ column: 'Status', cell: `${columnLetter(statusColumn)}${rowNumber}`, from: status, to: BOOK_STATUS.FINISHED });
+  }
+
+  const result = { title: String(row[titleColumn]).trim(), row: rowNumber, changes, dryRun };
+  const summary = changes.map(change => `${change.cell} ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`).join(', ');
+
+  if (dryRun) {
+    console.log(`🧪 [Dry run] Would update "${result.title}" (row ${rowNumber}): ${summary}`);
+    return result;
+  }
+
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      valueInputOption: 'USER_ENTERED',
+      data: changes.map(change => ({ range: `${quotedTab}!${change.cell}`, values: [[change.to]] }))
+    }
+  });
+  console.log(`✅ Updated "${result.title}" (row ${rowNumber}) in the sheet: ${summary}`);
+  // The cached copy no longer matches the sheet
+  refreshSheetData(sheet).catch(() => {});
+  return result;
+}
+
 module.exports = {
+  BOOK_STATUS,
   getSheetData,
+  getSheetDataWithSource,
+  getBooks,
+  getBookData,
+  parseBooks,
+  checkSheet,
+  normaliseStatus,
+  columnLetter,
+  getSpreadsheetUrl,
+  refreshSheetData,
+  loadSheetCache,
+  getSheetCacheStatus,
   getSheetInfo,
-  SPREADSHEET_ID
+  writeBookRating,
+  isWriteDryRun,
+  SPREADSHEET_ID,
+  DEFAULT_TAB
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const mongoose = require('mongoose');
+
+// The test runner reads results from stdout - keep the module's progress logs out of it
+console.log = () => {};
+
+// A local fixture server answering like Open Library, for one book known by ISBN and one only found by search
+const FIXTURES = {
+  '/isbn/9780143111597.json': { title: 'Piranesi', key: '/books/OL1M', covers: [111], number_of_pages: 272, publish_date: 'September 15, 2020', works: [{ key: '/works/OL1W' }] },
+  '/works/OL1W.json': { title: 'Piranesi', subjects: ['Fantasy', 'Labyrinths'], description: { type: '/type/text', value: 'Piranesi lives in the House.\n\nAlso contained in: nothing.' } },
+  '/works/OL2W.json': { description: 'A winter planet.' },
+};
+const SEARCH_RESULT = { docs: [{ key: '/works/OL2W', title: 'The Left Hand of Darkness', first_publish_year: 1969, number_of_pages_median: 304, cover_i: 222, subject: ['Science fiction'] }] };
+
+let server;
+let apiDown = false;
+let requests = [];
+let getBookMetadata;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+    res.setHeader('Content-Type', 'application/json');
+    if (apiDown) {
+      res.statusCode = 503;
+      return res.end('{}');
+    }
+    const body = url.pathname === '/search.json' ? SEARCH_RESULT : FIXTURES[url.pathname];
+    if (!body) res.statusCode = 404;
+    res.end(JSON.stringify(body || {}));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.METADATA_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.METADATA_COVERS_URL = 'http://covers.test';
+  ({ getBookMetadata } = require('../metadata'));
+});
+
+after(() => server.close());
+
+// An in-memory stand-in for the BookMetadata collection, with Mongo reported as connected
+let cache;
+beforeEach(() => {
+  apiDown = false;
+  requests = [];
+  cache = new Map();
+  const BookMetadata = mongoose.model('BookMetadata');
+  BookMetadata.findById = id => ({ lean: async () => cache.get(id) || null });
+  BookMetadata.findByIdAndUpdate = async (id, update) => cache.set(id, { _id: id, ...update });
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+});
+
+const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+test('looks a book up by ISBN, with work details, and caches it', async () => {
+  const metadata = await getBookMetadata({ title: 'Piranesi', author: 'Susanna Clarke', isbn: '9780143111597' });
+
+  assert.strictEqual(metadata.title, 'Piranesi');
+  assert.strictEqual(metadata.pages, 272);
+  assert.strictEqual(metadata.year, 2020);
+  assert.strictEqual(metadata.coverUrl, 'http://covers.test/b/id/111-M.jpg');
+  assert.strictEqual(metadata.description, 'Piranesi lives in the House.');
+  assert.deepStrictEqual(metadata.subjects, ['Fantasy', 'Labyrinths']);
+
+  const cached = cache.get('isbn:9780143111597');
+  assert.deepStrictEqual(cached.metadata, metadata);
+  assert.ok(cached.freshUntil < cached.expiresAt, 'kept past its fresh date to fall back on');
+});
+
+test('falls back to a title search without an ISBN', async () => {
+  const metadata = await getBookMetadata({ title: 'The Left Hand of Darkness', author: 'Ursula K. Le Guin' });
+
+  assert.strictEqual(metadata.pages, 304);
+  assert.strictEqual(metadata.description, 'A winter planet.');
+  assert.ok(requests.includes('/search.json'));
+});
+
+test('answers from a fresh cache entry without calling the API', async () => {
+  const metadata = { title: 'Cached', pages: 100 };
+  cache.set('isbn:9780143111597', { metadata, freshUntil: daysFromNow(1), expiresAt: daysFromNow(31) });
+
+  assert.deepStrictEqual(await getBookMetadata({ title: 'Piranesi', isbn: '9780143111597' }), metadata);
+  assert.deepStrictEqual(requests, []);
+});
+
+test('looks an outdated entry up again', async () => {
+  cache.set('isbn:9780143111597', { metadata: { title: 'Old' }, freshUntil: daysFromNow(-1), expiresAt: daysFromNow(29) });
+
+  assert.strictEqual((await getBookMetadata({ title: 'Piranesi', isbn: '9780143111597' })).title, 'Piranesi');
+  assert.ok(cache.get('isbn:9780143111597').freshUntil > new Date());
+});
+
+test('uses an outdated entry when the API is down', async () => {
+  apiDown = true;
+  const metadata = { title: 'Old', pages: 99 };
+  cache.set('isbn:9780143111597', { metadata, freshUntil: daysFromNow(-1), expiresAt: daysFromNow(29) });
+
+  assert.deepStrictEqual(await getBookMetadata({ title: 'Piranesi', isbn: '9780143111597' }), metadata);
+  assert.ok(requests.length > 0, 'the API was tried first');
+});
+
+test('throws when the API is down and nothing is cached', async () => {
+  apiDown = true;
+  await assert.rejects(getBookMetadata({ title: 'Piranesi', isbn: '9780143111597' }), /HTTP 503/);
+});
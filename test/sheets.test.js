@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { writeBookRating, BOOK_STATUS } = require('../sheets');
+
+// The test runner reads results from stdout - keep the module's progress logs out of it
+console.log = () => {};
+
+// A local stand-in for the Sheets API: serves one spreadsheet's values and applies batch updates to them
+const SPREADSHEET_ID = 'test-sheet';
+let grid;
+let requests;
+let server;
+
+function resetGrid() {
+  grid = [
+    ['Title', 'Author', 'Status', 'Rating'],
+    ['Piranesi', 'Susanna Clarke', 'Finished', '4.5'],
+    ['The Left Hand of Darkness', 'Ursula K. Le Guin', 'Currently Reading', ''],
+  ];
+  requests = [];
+}
+
+// "'Blad1'!D3" -> { row: 2, column: 3 }
+function parseCell(range) {
+  const [, letters, digits] = range.split('!')[1].match(/^([A-Z]+)(\d+)$/);
+  const column = [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  return { row: Number(digits) - 1, column };
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, body });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'GET' && url.pathname.startsWith(`/v4/spreadsheets/${SPREADSHEET_ID}/values/`)) {
+      return res.end(JSON.stringify({ values: grid }));
+    }
+    if (req.method === 'POST' && url.pathname === `/v4/spreadsheets/${SPREADSHEET_ID}/values:batchUpdate`) {
+      for (const { range, values } of body.data) {
+        const { row, column } = parseCell(range);
+        grid[row][column] = String(values[0][0]);
+      }
+      return res.end(JSON.stringify({ totalUpdatedCells: body.data.length }));
+    }
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: { code: 404, message: 'Not found' } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.GOOGLE_SHEETS_ROOT_URL = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => server.close());
+
+const sheet = { spreadsheetId: SPREADSHEET_ID, tab: 'Blad1' };
+
+test('writes the rating and flips the status to finished', async () => {
+  resetGrid();
+  const result = await writeBookRating('the left hand of darkness', 4.256, { markFinished: true, dryRun: false, sheet });
+
+  assert.strictEqual(result.row, 3);
+  assert.deepStrictEqual(result.changes.map(change => change.cell), ['D3', 'C3']);
+  assert.strictEqual(grid[2][3], '4.26');
+  assert.strictEqual(grid[2][2], BOOK_STATUS.FINISHED);
+  assert.strictEqual(grid[1][3], '4.5', 'other rows are left alone');
+});
+
+test('only writes the rating without markFinished', async () => {
+  resetGrid();
+  const result = await writeBookRating('The Left Hand of Darkness', 3, { dryRun: false, sheet });
+
+  assert.deepStrictEqual(result.changes.map(change => change.column), ['Rating']);
+  assert.strictEqual(grid[2][3], '3');
+  assert.strictEqual(grid[2][2], 'Currently Reading');
+});
+
+test('preview mode reports the changes but writes nothing', async () => {
+  resetGrid();
+  const before = JSON.stringify(grid);
+  const result = await writeBookRating('The Left Hand of Darkness', 4, { markFinished: true, dryRun: true, sheet });
+
+  assert.strictEqual(result.dryRun, true);
+  assert.strictEqual(result.changes.length, 2);
+  assert.strictEqual(JSON.stringify(grid), before);
+  assert.ok(requests.every(request => request.method === 'GET'), 'no batch update was sent');
+});
+
+test('returns null for a title that is not on the sheet', async () => {
+  resetGrid();
+  assert.strictEqual(await writeBookRating('Not A Book', 4, { dryRun: false, sheet }), null);
+  assert.ok(requests.every(request => request.method === 'GET'));
+});